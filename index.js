@@ -4,11 +4,20 @@ const path = require('path');
 const csv = require('csv-parser');
 const { getWeek, getMonth, getQuarter } = require('date-fns');
 const cors = require('cors')
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { EventEmitter } = require('events');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const nodemailer = require('nodemailer');
 
 const app = express();
 
-// Enable CORS for all routes
-app.use(cors());
+// Enable CORS for all routes; list endpoints report their total in X-Total-Count
+app.use(cors({ exposedHeaders: ['X-Total-Count'] }));
+
+// Parse JSON request bodies
+app.use(express.json());
 
 // Middleware to log all incoming requests
 app.use((req, res, next) => {
@@ -19,15 +28,350 @@ const port = 3000;
 
 const dataPath = path.join(__dirname, 'Data', 'all_pump_forecasts.csv');
 const insightsDataPath = path.join(__dirname, 'Data', 'groq_bullet_monthly_insights.csv');
+
+// Everything the API writes at runtime lives here (git-ignored), so the seed files in Data/ stay untouched
+const stateDir = path.join(__dirname, 'Data', 'state');
+const statePath = (file) => path.join(stateDir, file);
+
+// File a dataset loader reads: the copy in Data/state/ once one was uploaded or saved, else the seed file
+const dataFilePath = (file) => (fs.existsSync(statePath(file)) ? statePath(file) : path.join(__dirname, 'Data', file));
+
 let forecastData = [];
 let insightsData = [];
 
+// Placeholder values spreadsheets leave in empty cells. They are loaded as they are (NA is a
+// real region or code as often as it is a blank); /api/data-quality reports where they occur.
+const csvNullValues = new Set(['NA', 'N/A', 'n/a', 'NULL', 'null', 'NaN', 'nan', '#N/A']);
+
+// Normalization every loaded value passes through: non-breaking spaces become spaces and
+// surrounding whitespace is trimmed. Dates are
+// left in their file's format (DD-MM-YYYY in the MRP plan and station schedule, ISO elsewhere)
+// because the endpoints return them as-is; /api/data-quality reports each dataset's date format.
+const normalizeCsvValue = (value) => {
+    return value.replace(/\u00A0/g, ' ').trim();
+};
+
+// csv-parser options shared by every loader: strips the UTF-8 BOM Excel leaves on the
+// first header and normalizes values. A repeated header keeps its last column unless
+// renameDuplicates suffixes the later copies (Station, Station_2...).
+const csvOptions = ({ renameDuplicates = false } = {}) => {
+    const seen = {};
+    return {
+        mapHeaders: ({ header }) => {
+            const name = header.replace(/^\uFEFF/, '').trim();
+            seen[name] = (seen[name] || 0) + 1;
+            return renameDuplicates && seen[name] > 1 ? `${name}_${seen[name]}` : name;
+        },
+        mapValues: ({ value }) => normalizeCsvValue(value)
+    };
+};
+
+// Helper function to read a whole CSV file; optional files resolve to [] when missing
+const readCsv = (filePath, { optional = false } = {}) => {
+    return new Promise((resolve, reject) => {
+        if (optional && !fs.existsSync(filePath)) {
+            return resolve([]);
+        }
+        const data = [];
+        fs.createReadStream(filePath)
+            .pipe(csv(csvOptions()))
+            .on('data', (row) => data.push(row))
+            .on('end', () => resolve(data))
+            .on('error', reject);
+    });
+};
+
+// Helper function to parse CSV text (e.g. an uploaded file) into { headers, rows }
+const parseCsvText = (text, options = {}) => {
+    return new Promise((resolve, reject) => {
+        let headers = [];
+        const rows = [];
+        Readable.from([text])
+            .pipe(csv(csvOptions(options)))
+            .on('headers', (names) => {
+                headers = names;
+            })
+            .on('data', (row) => rows.push(row))
+            .on('end', () => resolve({ headers: headers, rows: rows }))
+            .on('error', reject);
+    });
+};
+
+// Helper functions to read/write JSON documents (app state that does not fit a flat CSV)
+const readJson = (filePath, fallback) => {
+    if (!fs.existsSync(filePath)) {
+        return fallback;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+};
+
+const writeJson = (filePath, value) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(value, null, 2) + '\n');
+    fs.renameSync(tempPath, filePath);
+};
+
+// Helper function to render rows as CSV text; Dates are written as YYYY-MM-DD
+const formatCsv = (rows, headers) => {
+    const escape = (value) => {
+        const text = value === undefined || value === null ? ''
+            : value instanceof Date ? (isNaN(value) ? '' : value.toISOString().slice(0, 10))
+            : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [headers.map(escape).join(','), ...rows.map(row => headers.map(header => escape(row[header])).join(','))];
+    return lines.join('\n') + '\n';
+};
+
+// Helper function to write rows back to a CSV file (via a temp file so readers never see half a file)
+const writeCsv = (filePath, rows, headers) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, formatCsv(rows, headers));
+    fs.renameSync(tempPath, filePath);
+};
+
+// ─── REPORT EXPORT ───────────────────────────────────
+//
+// Tabular endpoints can be downloaded instead of read as JSON, with ?format=csv|xlsx or an
+// Accept header of text/csv or the xlsx MIME type (?format= wins; */* still gets JSON).
+// Nested objects become dotted columns (scores.otd) and arrays are joined with '; '.
+
+const exportFormats = {
+    csv: 'text/csv',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Pick the response format and return { format } ('json', 'csv' or 'xlsx') or { error }.
+// Endpoints that already use ?format= for something else negotiate on the Accept header only.
+const parseExportFormat = (req, { fromQuery = true } = {}) => {
+    if (fromQuery && req.query.format !== undefined) {
+        const format = String(req.query.format).toLowerCase();
+        if (format !== 'json' && !Object.hasOwn(exportFormats, format)) {
+            return { error: `format must be one of json, ${Object.keys(exportFormats).join(', ')}` };
+        }
+        return { format: format };
+    }
+    const accepted = req.accepts(['application/json', ...Object.values(exportFormats)]);
+    return { format: Object.keys(exportFormats).find(format => exportFormats[format] === accepted) || 'json' };
+};
+
+// Helper function to flatten a row into one cell per column
+const flattenRow = (row, prefix = '') => Object.entries(row).reduce((cells, [key, value]) => {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+        Object.assign(cells, flattenRow(value, `${prefix}${key}.`));
+    } else {
+        cells[`${prefix}${key}`] = Array.isArray(value)
+            ? value.map(item => (item !== null && typeof item === 'object' ? JSON.stringify(item) : item)).join('; ')
+            : value;
+    }
+    return cells;
+}, {});
+
+// Spreadsheet apps run CSV cells starting with = + - @ as formulas; quote such text with a
+// leading ' (plain numbers like -5 are left as they are)
+const neutralizeFormula = (value) => (typeof value === 'string' && /^[=+\-@]/.test(value) && !/^[+-]?\d*\.?\d+$/.test(value)
+    ? `'${value}`
+    : value);
+
+const exportWriters = {
+    csv: async (cells, headers) => formatCsv(cells.map(row => Object.fromEntries(Object.entries(row)
+        .map(([header, value]) => [header, neutralizeFormula(value)]))), headers),
+    xlsx: async (cells, headers, name) => {
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet(name.slice(0, 31));
+        sheet.columns = headers.map(header => ({ header: header, key: header, width: Math.min(Math.max(header.length + 2, 12), 40) }));
+        sheet.getRow(1).font = { bold: true };
+        sheet.views = [{ state: 'frozen', ySplit: 1 }];
+        sheet.addRows(cells);
+        return workbook.xlsx.writeBuffer();
+    }
+};
+
+// Download file name for an endpoint: /api/forecasts/weekly -> forecasts-weekly
+const exportName = (req) => req.path.replace(/^\/api\//, '').replace(/[^\w.-]+/g, '-');
+
+// Send rows as a CSV or XLSX attachment
+const sendExport = async (req, res, format, rows) => {
+    try {
+        const cells = rows.map(row => flattenRow(row));
+        const headers = [...new Set(cells.flatMap(row => Object.keys(row)))];
+        const name = exportName(req);
+        const content = await exportWriters[format](cells, headers, name);
+        res.attachment(`${name}.${format}`).send(content);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Respond with body (the rows themselves by default) as JSON, or with the rows as a download
+const sendReport = (req, res, rows, body = rows) => {
+    const { format, error } = parseExportFormat(req);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+    if (format === 'json') {
+        return res.json(body);
+    }
+    sendExport(req, res, format, rows);
+};
+
+// ─── LIST QUERY LAYER ────────────────────────────────
+//
+// Shared by the dataset list endpoints. Any column can be filtered (parameters that are not
+// columns, like the ones an endpoint handles itself, are left alone):
+//   Status=READY,WAIT_FOR_PROCUREMENT   exact match (comma-separated or repeated = any of)
+//   Required_Qty[gte]=10                gt, gte, lt, lte, ne and contains
+//   from=2018-01-01&to=2018-01-31       range on the endpoint's date column
+// plus sort=Date,-Required_Qty, fields=SKU_No,Status and paging with page/limit or cursor.
+// Without paging the rows are returned as a plain array (as before) and the total matching
+// count is in X-Total-Count; with paging the response is { data, total, page, limit, next_cursor }.
+// format=csv|xlsx downloads the same rows (see REPORT EXPORT).
+
+const DEFAULT_PAGE_LIMIT = 100;
+const MAX_PAGE_LIMIT = 1000;
+const listQueryParams = ['page', 'limit', 'cursor', 'sort', 'fields', 'from', 'to', 'format'];
+
+// Helper function to make values comparable: Dates and DD-MM-YYYY become YYYY-MM-DD, numeric text a number
+const comparableValue = (value) => {
+    if (value instanceof Date) {
+        return isNaN(value) ? '' : value.toISOString().slice(0, 10);
+    }
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    const dayMonthYear = /^(\d{2})-(\d{2})-(\d{4})$/.exec(text);
+    if (dayMonthYear) {
+        return `${dayMonthYear[3]}-${dayMonthYear[2]}-${dayMonthYear[1]}`;
+    }
+    return text !== '' && isFinite(Number(text)) ? Number(text) : text;
+};
+
+const compareValues = (a, b) => {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return a - b;
+    }
+    return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+const listFilterOperators = {
+    gt: (value, target) => compareValues(value, target) > 0,
+    gte: (value, target) => compareValues(value, target) >= 0,
+    lt: (value, target) => compareValues(value, target) < 0,
+    lte: (value, target) => compareValues(value, target) <= 0,
+    ne: (value, target) => compareValues(value, target) !== 0,
+    contains: (value, target) => String(value).toLowerCase().includes(String(target).toLowerCase())
+};
+
+// Filter, sort, project and page rows from the query string. options.dateField is the column
+// from/to apply to; options.reserved lists endpoint-specific params that are not column filters.
+// Returns { rows, total, paging } or { error }.
+const applyListQuery = (rows, query, { dateField, reserved = [] } = {}) => {
+    const columns = new Set(rows.flatMap(row => Object.keys(row)));
+    const filters = [];
+
+    for (const [param, value] of Object.entries(query)) {
+        if (listQueryParams.includes(param) || reserved.includes(param) || !columns.has(param)) {
+            continue;
+        }
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            for (const [operator, target] of Object.entries(value)) {
+                if (!Object.hasOwn(listFilterOperators, operator)) {
+                    return { error: `Unknown operator '${operator}' on ${param}; use ${Object.keys(listFilterOperators).join(', ')}` };
+                }
+                filters.push(row => listFilterOperators[operator](comparableValue(row[param]), comparableValue(target)));
+            }
+        } else {
+            const values = queryValues(value).map(comparableValue);
+            filters.push(row => values.some(target => compareValues(comparableValue(row[param]), target) === 0));
+        }
+    }
+    if (dateField && (query.from || query.to)) {
+        if ((query.from && !parseQueryDate(query.from, false)) || (query.to && !parseQueryDate(query.to, false))) {
+            return { error: 'from and to must be YYYY-MM-DD' };
+        }
+        filters.push(row => {
+            const day = comparableValue(row[dateField]);
+            return (!query.from || day >= query.from) && (!query.to || day <= query.to);
+        });
+    }
+
+    let result = rows.filter(row => filters.every(filter => filter(row)));
+
+    if (query.sort) {
+        const keys = queryValues(query.sort).map(key => ({ column: key.replace(/^[-+]/, ''), direction: key.startsWith('-') ? -1 : 1 }));
+        const unknown = keys.find(key => rows.length && !columns.has(key.column));
+        if (unknown) {
+            return { error: `Cannot sort by unknown column '${unknown.column}'` };
+        }
+        result = [...result].sort((a, b) => {
+            for (const key of keys) {
+                const order = compareValues(comparableValue(a[key.column]), comparableValue(b[key.column]));
+                if (order) {
+                    return order * key.direction;
+                }
+            }
+            return 0;
+        });
+    }
+
+    const total = result.length;
+    let paging = null;
+    if (query.page !== undefined || query.limit !== undefined || query.cursor !== undefined) {
+        const limit = query.limit === undefined ? DEFAULT_PAGE_LIMIT : parseInt(query.limit, 10);
+        if (!(limit > 0 && limit <= MAX_PAGE_LIMIT)) {
+            return { error: `limit must be between 1 and ${MAX_PAGE_LIMIT}` };
+        }
+        let offset = 0;
+        if (query.cursor !== undefined) {
+            offset = parseInt(Buffer.from(String(query.cursor), 'base64url').toString(), 10);
+            if (!(offset >= 0)) {
+                return { error: 'Invalid cursor' };
+            }
+        } else if (query.page !== undefined) {
+            const page = parseInt(query.page, 10);
+            if (!(page >= 1)) {
+                return { error: 'page must be a positive integer' };
+            }
+            offset = (page - 1) * limit;
+        }
+        result = result.slice(offset, offset + limit);
+        paging = {
+            page: Math.floor(offset / limit) + 1,
+            limit: limit,
+            next_cursor: offset + limit < total ? Buffer.from(String(offset + limit)).toString('base64url') : null
+        };
+    }
+
+    if (query.fields) {
+        const fields = queryValues(query.fields);
+        result = result.map(row => Object.fromEntries(fields.filter(field => field in row).map(field => [field, row[field]])));
+    }
+    return { rows: result, total: total, paging: paging };
+};
+
+// Respond with rows after the list query layer (400 on a bad query)
+const sendList = (req, res, rows, options = {}) => {
+    const { format, error: formatError } = parseExportFormat(req, { fromQuery: !(options.reserved || []).includes('format') });
+    if (formatError) {
+        return res.status(400).json({ error: formatError });
+    }
+    const { rows: result, total, paging, error } = applyListQuery(rows, req.query, options);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+    res.set('X-Total-Count', String(total));
+    if (format !== 'json') {
+        return sendExport(req, res, format, result);
+    }
+    res.json(paging ? { data: result, total: total, ...paging } : result);
+};
+
 // Function to read and parse the CSV data
 const loadData = () => {
     return new Promise((resolve, reject) => {
         const data = [];
-        fs.createReadStream(dataPath)
-            .pipe(csv())
+        fs.createReadStream(dataFilePath(path.basename(dataPath)))
+            .pipe(csv(csvOptions()))
             .on('data', (row) => {
                 row.Forecasted_Demand = parseFloat(row.Forecasted_Demand);
                 row.Date = new Date(row.Date);
@@ -62,12 +406,33 @@ const filterData = (req) => {
 // API endpoint to get all forecast data (with optional filtering)
 app.get('/api/forecasts', (req, res) => {
     console.log('Handling request for /api/forecasts');
-    const filteredData = filterData(req);
-    res.json(filteredData);
+    const { levels, error } = parseConfidenceLevels(req.query.confidence);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+    // Forecast_Std and the bounds are only added when ?confidence= asks for them
+    if (!levels.length) {
+        return sendList(req, res, filterData(req).map(({ Forecast_Std, ...row }) => row),
+            { dateField: 'Date', reserved: ['confidence'] });
+    }
+    const filteredData = withForecastStd(filterData(req));
+    const missing = unboundedForecastError(filteredData);
+    if (missing) {
+        return res.status(422).json({ error: missing });
+    }
+    sendList(req, res, filteredData.map(row => ({
+        ...row,
+        ...predictionBounds(row.Forecasted_Demand, row.Forecast_Std, levels, 'Lower_', 'Upper_')
+    })), { dateField: 'Date', reserved: ['confidence'] });
 });
 
+// Bounds need a product's sales history: rows without an error estimate are an error
+// rather than null bounds
+const unboundedForecastError = (rows) =>
+    noSalesHistoryError([...new Set(rows.filter(row => row.Forecast_Std == null).map(row => row.PRODUCT_CARD_ID))]);
+
 // Helper function to aggregate data
-const aggregateData = (data, groupBy) => {
+const aggregateData = (data, groupBy, levels = []) => {
     const aggregated = data.reduce((acc, curr) => {
         let key;
         const year = curr.Date.getFullYear();
@@ -83,42 +448,63 @@ const aggregateData = (data, groupBy) => {
         }
 
         if (!acc[key]) {
-            acc[key] = { demand: 0, count: 0 };
+            acc[key] = { demand: 0, count: 0, variance: 0 };
         }
         acc[key].demand += curr.Forecasted_Demand;
         acc[key].count += 1;
+        // Daily errors are treated as independent, so variances add up
+        acc[key].variance += curr.Forecast_Std == null ? NaN : curr.Forecast_Std * curr.Forecast_Std;
         return acc;
     }, {});
 
-    return Object.entries(aggregated).map(([key, value]) => ({
-        period: key,
-        total_demand: value.demand,
-        average_demand: value.demand / value.count
-    }));
+    return Object.entries(aggregated).map(([key, value]) => {
+        const period = {
+            period: key,
+            total_demand: value.demand,
+            average_demand: value.demand / value.count
+        };
+        if (!levels.length) {
+            return period;
+        }
+        const std = Number.isNaN(value.variance) ? null : Math.sqrt(value.variance);
+        return {
+            ...period,
+            demand_std: std,
+            ...predictionBounds(value.demand, std, levels, 'lower_', 'upper_')
+        };
+    });
+};
+
+// Helper function to serve one aggregation granularity with prediction bounds
+const aggregatedForecastHandler = (groupBy) => (req, res) => {
+    const { levels, error } = parseConfidenceLevels(req.query.confidence);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+    if (!levels.length) {
+        return sendReport(req, res, aggregateData(filterData(req), groupBy));
+    }
+    const filteredData = withForecastStd(filterData(req));
+    const missing = unboundedForecastError(filteredData);
+    if (missing) {
+        return res.status(422).json({ error: missing });
+    }
+    sendReport(req, res, aggregateData(filteredData, groupBy, levels));
 };
 
 // API endpoints for aggregated data
-app.get('/api/forecasts/weekly', (req, res) => {
-    const filteredData = filterData(req);
-    res.json(aggregateData(filteredData, 'weekly'));
-});
+app.get('/api/forecasts/weekly', aggregatedForecastHandler('weekly'));
 
-app.get('/api/forecasts/monthly', (req, res) => {
-    const filteredData = filterData(req);
-    res.json(aggregateData(filteredData, 'monthly'));
-});
+app.get('/api/forecasts/monthly', aggregatedForecastHandler('monthly'));
 
-app.get('/api/forecasts/quarterly', (req, res) => {
-    const filteredData = filterData(req);
-    res.json(aggregateData(filteredData, 'quarterly'));
-});
+app.get('/api/forecasts/quarterly', aggregatedForecastHandler('quarterly'));
 
 // Function to read and parse the insights CSV data
 const loadInsightsData = () => {
     return new Promise((resolve, reject) => {
         const data = [];
-        fs.createReadStream(insightsDataPath)
-            .pipe(csv())
+        fs.createReadStream(dataFilePath(path.basename(insightsDataPath)))
+            .pipe(csv(csvOptions()))
             .on('data', (row) => {
                 data.push(row);
             })
@@ -151,10 +537,122 @@ const filterInsightsData = (req) => {
     return filteredData;
 };
 
-// API endpoint for AI insights
+// ─── INSIGHT TEXT PARSER ─────────────────────────────
+
+// Model boilerplate around the bullets: "Here are 4-5 concise...:" and "These insights are designed..."
+const insightPreamblePattern = /^(here (is|are)|below (is|are)|the following)\b[^:]*:/i;
+const insightFooterPattern = /^(these|this|the above) (insights?|points|analysis|summary)\b/i;
+const insightBulletPattern = /^(\s*)(?:[-*•·�]|\d+[.)])\s+(.*)$/;
+const insightActionPattern = /action|recommend|suggest|next step|guiding summary|mitigat/i;
+
+// Helper function to drop markdown emphasis and leading emoji from a fragment
+const stripInsightMarkup = (text) => text
+    .replace(/\*\*|__/g, '')
+    .replace(/^[^\p{L}\p{N}"'(₹$?]+/u, '')
+    .trim();
+
+// Helper function to split "**Heading**: text" / "Heading - text" into { heading, text }
+const splitInsightBullet = (text) => {
+    const clean = stripInsightMarkup(text);
+    const match = /^([^:.]{2,60}?)\s*(?::|\s[-–]\s)\s*(.*)$/.exec(clean);
+    return match ? { heading: match[1], text: match[2] } : { heading: null, text: clean };
+};
+
+// Helper function to find figures like "1708 units", "96.50%", "₹12.06 crores" or "7-day"
+const insightNumbers = (text) => [...text.matchAll(/(?<![\w.])([₹$]?)(\d[\d,]*(?:\.\d+)?)(?:\s?-?(%|units?|days?|crores?|lakhs?|orders?))?(?![\w])/gi)]
+    .map(match => ({
+        text: match[0].trim(),
+        value: parseFloat(match[2].replace(/,/g, '')),
+        unit: match[3] ? match[3].toLowerCase() : match[1] || null
+    }));
+
+// Convert model-written insight text into { title, summary, bullets, recommended_action, mentions }.
+// Handles line bullets (-, *, •, numbered, the � left by a bad encoding), indented sub-bullets,
+// bold section headings and the single-line " * Reason: ..." format of the supplier insights.
+const parseInsightText = (text) => {
+    let lines = String(text || '').replace(/\r\n?/g, '\n').split('\n').map(line => line.replace(/\s+$/, '')).filter(Boolean);
+    if (lines.length === 1 && / \* /.test(lines[0])) {
+        lines = lines[0].split(/ \* /).map((part, index) => index ? `* ${part}` : part);
+    }
+
+    let title = null;
+    let section = null;
+    const summary = [];
+    const bullets = [];
+    lines.forEach(line => {
+        const bullet = insightBulletPattern.exec(line);
+        if (bullet) {
+            const item = { ...splitInsightBullet(bullet[2]), section: section };
+            const parent = bullets[bullets.length - 1];
+            if (bullet[1].length >= 2 && parent) {
+                parent.sub_bullets = (parent.sub_bullets || []).concat({ heading: item.heading, text: item.text });
+            } else {
+                bullets.push(item);
+            }
+            return;
+        }
+        const trimmed = line.trim();
+        const heading = /^(?:#+\s*(.+)|\*\*([^*]+)\*\*:?)$/.exec(trimmed);
+        if (heading) {
+            const value = stripInsightMarkup(heading[1] || heading[2]).replace(/:$/, '');
+            if (title === null && !bullets.length) {
+                title = value;
+            } else {
+                section = value;
+            }
+        } else {
+            const rest = trimmed.replace(insightPreamblePattern, '').trim();
+            if (!rest || insightFooterPattern.test(rest)) {
+                return;
+            }
+            // Lines like "Recommendation:" that only introduce the bullets read as a section
+            if (/^[^.]{2,40}:$/.test(rest)) {
+                section = stripInsightMarkup(rest).replace(/:$/, '');
+            } else {
+                summary.push(stripInsightMarkup(rest));
+            }
+        }
+    });
+
+    const action = bullets.find(item => item.heading && insightActionPattern.test(item.heading));
+    const actionText = action && (action.text || (action.sub_bullets || [])
+        .map(item => item.heading ? `${item.heading}: ${item.text}` : item.text).join(' '));
+    const suppliers = [...new Set(suppliersData.map(item => item.Supplier_Name)
+        .concat(alternateSuppliersData.map(item => item.Supplier_Name))
+        .filter(name => name && String(text).toLowerCase().includes(name.toLowerCase())))];
+    const unique = (pattern) => [...new Set(String(text).match(pattern) || [])];
+
+    return {
+        title: title,
+        summary: summary.join(' ') || null,
+        bullets: bullets,
+        recommended_action: actionText || null,
+        mentions: {
+            skus: unique(/\bSK\d{3,}\b/g),
+            products: unique(/\bM\d{3}\b/g),
+            operators: unique(/\bOP\d{3}\b/g),
+            suppliers: suppliers,
+            numbers: insightNumbers(bullets.length ? bullets.map(item => `${item.text} ${(item.sub_bullets || []).map(sub => sub.text).join(' ')}`).join(' ') : String(text))
+        }
+    };
+};
+
+// Helper function to validate ?format=text|structured, returning the format or null
+const parseInsightFormat = (value) => (value === undefined ? 'text' : ['text', 'structured'].includes(value) ? value : null);
+
+// Replace the insight text in each row by its parsed form when format=structured
+const formatInsightRows = (rows, field, format) => (format === 'structured'
+    ? rows.map(row => ({ ...row, [field]: parseInsightText(row[field]) }))
+    : rows);
+
+// API endpoint for AI insights (?format=structured parses GPT_Bullet_Insight)
 app.get('/api/insights', (req, res) => {
+    const format = parseInsightFormat(req.query.format);
+    if (!format) {
+        return res.status(400).json({ error: 'format must be text or structured' });
+    }
     const filteredData = filterInsightsData(req);
-    res.json(filteredData);
+    sendList(req, res, formatInsightRows(filteredData, 'GPT_Bullet_Insight', format), { reserved: ['format'] });
 });
 
 // API endpoint to get unique products for dropdowns
@@ -165,15 +663,26 @@ app.get('/api/products', (req, res) => {
 
 // ─── SALES APIs ────────────────────────────────────────
 
+// Helper function to parse "M/D/YYYY H:mm" order dates (falls back to Date parsing)
+const parseOrderDate = (value) => {
+    const match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2}))?$/.exec((value || '').trim());
+    if (match) {
+        const [, month, day, year, hours = 0, minutes = 0] = match;
+        return new Date(year, month - 1, day, hours, minutes);
+    }
+    return new Date(value);
+};
+
 // Load sales data
 let salesData = [];
 const loadSalesData = () => {
     return new Promise((resolve, reject) => {
-        const salesPath = path.join(__dirname, 'Data', 'Pump_Data.csv');
+        const salesPath = dataFilePath('Pump_Data.csv');
         const data = [];
         fs.createReadStream(salesPath)
-            .pipe(csv())
+            .pipe(csv(csvOptions()))
             .on('data', (row) => {
+                row['order date (DateOrders)'] = parseOrderDate(row['order date (DateOrders)']);
                 data.push(row);
             })
             .on('end', () => {
@@ -188,30 +697,113 @@ const loadSalesData = () => {
     });
 };
 
+// Dashboard slicers: sales column -> accepted query parameter names
+const salesFilterColumns = {
+    'Category Name': ['Category Name', 'category'],
+    'Order Region': ['Order Region', 'region'],
+    'Delivery Status': ['Delivery Status', 'deliveryStatus'],
+    'Shipping Mode': ['Shipping Mode', 'shippingMode']
+};
+
+// Helper function to parse a YYYY-MM-DD query date (endOfDay for inclusive end dates)
+const parseQueryDate = (value, endOfDay) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) {
+        return null;
+    }
+    const [, year, month, day] = match.map(Number);
+    const date = endOfDay
+        ? new Date(year, month - 1, day, 23, 59, 59, 999)
+        : new Date(year, month - 1, day);
+    return date.getMonth() === month - 1 ? date : null;
+};
+
+// Helper function to collect filter values; supports repeated and comma-separated params
+const queryValues = (value) => [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+// Validate the shared slicer params and return { filters } or { error }
+const parseSalesFilters = (query) => {
+    const filters = { columns: {} };
+
+    if (query.startDate) {
+        filters.startDate = parseQueryDate(query.startDate, false);
+        if (!filters.startDate) {
+            return { error: `Invalid startDate '${query.startDate}', expected YYYY-MM-DD` };
+        }
+    }
+    if (query.endDate) {
+        filters.endDate = parseQueryDate(query.endDate, true);
+        if (!filters.endDate) {
+            return { error: `Invalid endDate '${query.endDate}', expected YYYY-MM-DD` };
+        }
+    }
+    if (filters.startDate && filters.endDate && filters.startDate > filters.endDate) {
+        return { error: 'startDate must not be after endDate' };
+    }
+
+    Object.entries(salesFilterColumns).forEach(([column, params]) => {
+        const values = params.flatMap(param => query[param] === undefined ? [] : queryValues(query[param]));
+        if (values.length) {
+            filters.columns[column] = new Set(values);
+        }
+    });
+    return { filters };
+};
+
+// Helper function to apply parsed slicer filters to sales rows
+const applySalesFilters = (data, filters) => data.filter(item => {
+    const orderDate = item['order date (DateOrders)'];
+    if (filters.startDate && !(orderDate >= filters.startDate)) {
+        return false;
+    }
+    if (filters.endDate && !(orderDate <= filters.endDate)) {
+        return false;
+    }
+    return Object.entries(filters.columns).every(([column, values]) => values.has(item[column]));
+});
+
+// Middleware that validates slicer params and exposes the filtered rows as req.salesData
+const salesFilter = (req, res, next) => {
+    const { filters, error } = parseSalesFilters(req.query);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+    req.salesData = applySalesFilters(salesData, filters);
+    next();
+};
+
 // Sales KPIs endpoint
-app.get('/api/sales/kpis', (req, res) => {
+// Helper function to compute the sales KPI cards over a set of order rows
+const salesKpis = (data) => {
+    const totalOrders = new Set(data.map(item => item['Order Item Id'])).size;
+    const totalSales = data.reduce((sum, item) => sum + parseFloat(item.Sales || 0), 0);
+    const avgDiscount = data.reduce((sum, item) => sum + parseFloat(item['Order Item Discount Rate'] || 0), 0) / (data.length || 1);
+    const lateDeliveries = data.filter(item => item['Late_delivery_risk'] === '1').length;
+
+    return {
+        total_orders: totalOrders,
+        total_sales: Math.round(totalSales * 100) / 100,
+        avg_discount: Math.round(avgDiscount * 100 * 100) / 100,
+        late_deliveries: lateDeliveries
+    };
+};
+
+app.get('/api/sales/kpis', salesFilter, (req, res) => {
     if (!salesData.length) {
         return res.json({ error: "Sales data not found" });
     }
     try {
-        const totalOrders = new Set(salesData.map(item => item['Order Item Id'])).size;
-        const totalSales = salesData.reduce((sum, item) => sum + parseFloat(item.Sales || 0), 0);
-        const avgDiscount = salesData.reduce((sum, item) => sum + parseFloat(item['Order Item Discount Rate'] || 0), 0) / salesData.length;
-        const lateDeliveries = salesData.filter(item => item['Late_delivery_risk'] === '1').length;
-        
-        res.json({
-            total_orders: totalOrders,
-            total_sales: Math.round(totalSales * 100) / 100,
-            avg_discount: Math.round(avgDiscount * 100 * 100) / 100,
-            late_deliveries: lateDeliveries
-        });
+        res.json(salesKpis(req.salesData));
     } catch (error) {
         res.json({ error: error.message });
     }
 });
 
 // Sales metrics endpoint
-app.get('/api/sales/:metric', (req, res) => {
+app.get('/api/sales/:metric', salesFilter, (req, res) => {
     const { metric } = req.params;
     if (!salesData.length) {
         return res.json({ error: "Data not loaded" });
@@ -220,7 +812,7 @@ app.get('/api/sales/:metric', (req, res) => {
     try {
         if (metric === 'city-sales') {
             const citySales = {};
-            salesData.forEach(item => {
+            req.salesData.forEach(item => {
                 const city = item['Customer City'];
                 const sales = parseFloat(item.Sales || 0);
                 citySales[city] = (citySales[city] || 0) + sales;
@@ -234,7 +826,7 @@ app.get('/api/sales/:metric', (req, res) => {
             });
         } else if (metric === 'category-distribution') {
             const categorySales = {};
-            salesData.forEach(item => {
+            req.salesData.forEach(item => {
                 const category = item['Category Name'];
                 const sales = parseFloat(item.Sales || 0);
                 categorySales[category] = (categorySales[category] || 0) + sales;
@@ -245,7 +837,7 @@ app.get('/api/sales/:metric', (req, res) => {
             });
         } else if (metric === 'monthly-sales') {
             const monthlySales = {};
-            salesData.forEach(item => {
+            req.salesData.forEach(item => {
                 const date = new Date(item['order date (DateOrders)']);
                 const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
                 const sales = parseFloat(item.Sales || 0);
@@ -258,7 +850,7 @@ app.get('/api/sales/:metric', (req, res) => {
             });
         } else if (metric === 'shipping-mode') {
             const shippingModes = {};
-            salesData.forEach(item => {
+            req.salesData.forEach(item => {
                 const mode = item['Shipping Mode'];
                 shippingModes[mode] = (shippingModes[mode] || 0) + 1;
             });
@@ -268,7 +860,7 @@ app.get('/api/sales/:metric', (req, res) => {
             });
         } else if (metric === 'region-sales') {
             const regionSales = {};
-            salesData.forEach(item => {
+            req.salesData.forEach(item => {
                 const region = item['Order Region'];
                 const sales = parseFloat(item.Sales || 0);
                 regionSales[region] = (regionSales[region] || 0) + sales;
@@ -280,7 +872,7 @@ app.get('/api/sales/:metric', (req, res) => {
             });
         } else if (metric === 'top-products') {
             const productSales = {};
-            salesData.forEach(item => {
+            req.salesData.forEach(item => {
                 const product = item['Product Name'];
                 const sales = parseFloat(item.Sales || 0);
                 productSales[product] = (productSales[product] || 0) + sales;
@@ -300,705 +892,4878 @@ app.get('/api/sales/:metric', (req, res) => {
     }
 });
 
-// ─── INVENTORY APIs ──────────────────────────────────
+// ─── SHIPPING APIs ───────────────────────────────────
 
-// Load inventory data
-let stockData = [];
-let alertData = [];
-let scheduleData = [];
-let bomData = [];
-let mrpData = [];
-let productionOrdersData = [];
-let stationScheduleData = [];
+// Helper function to round to two decimals
+const round2 = (value) => Math.round(value * 100) / 100;
 
-const loadInventoryData = () => {
-    return Promise.all([
-        new Promise((resolve, reject) => {
-            const stockPath = path.join(__dirname, 'Data', 'total_stock_levels_updated.csv');
-            const data = [];
-            fs.createReadStream(stockPath)
-                .pipe(csv())
-                .on('data', (row) => {
-                    data.push(row);
-                })
-                .on('end', () => {
-                    stockData = data;
-                    resolve();
-                })
-                .on('error', reject);
-        }),
-        new Promise((resolve, reject) => {
-            const alertPath = path.join(__dirname, 'Data', 'total_demo_sku_inventory_alerts.csv');
-            const data = [];
-            fs.createReadStream(alertPath)
-                .pipe(csv())
-                .on('data', (row) => {
-                    data.push(row);
-                })
-                .on('end', () => {
-                    alertData = data;
-                    resolve();
-                })
-                .on('error', reject);
-        }),
-        new Promise((resolve, reject) => {
-            const schedulePath = path.join(__dirname, 'Data', 'total_production_schedule.csv');
-            const data = [];
-            fs.createReadStream(schedulePath)
-                .pipe(csv())
-                .on('data', (row) => {
-                    data.push(row);
-                })
-                .on('end', () => {
-                    scheduleData = data;
-                    resolve();
-                })
-                .on('error', reject);
-        }),
-        new Promise((resolve, reject) => {
-            const bomPath = path.join(__dirname, 'Data', 'bom_data.csv');
-            const data = [];
-            fs.createReadStream(bomPath)
-                .pipe(csv())
-                .on('data', (row) => {
-                    data.push(row);
-                })
-                .on('end', () => {
-                    bomData = data;
-                    resolve();
-                })
-                .on('error', reject);
-        }),
-        new Promise((resolve, reject) => {
-            const mrpPath = path.join(__dirname, 'Data', 'total_mrp_plan_updated.csv');
-            const data = [];
-            fs.createReadStream(mrpPath)
-                .pipe(csv())
-                .on('data', (row) => {
-                    data.push(row);
-                })
-                .on('end', () => {
-                    mrpData = data;
-                    resolve();
-                })
-                .on('error', reject);
-        }),
-        new Promise((resolve, reject) => {
-            const ordersPath = path.join(__dirname, 'Data', 'total_production_orders.csv');
-            const data = [];
-            fs.createReadStream(ordersPath)
-                .pipe(csv())
-                .on('data', (row) => {
-                    data.push(row);
-                })
-                .on('end', () => {
-                    productionOrdersData = data;
-                    resolve();
-                })
-                .on('error', reject);
-        }),
-        new Promise((resolve, reject) => {
-            const stationPath = path.join(__dirname, 'Data', 'total_station_schedule_updated.csv');
-            const data = [];
-            fs.createReadStream(stationPath)
-                .pipe(csv())
-                .on('data', (row) => {
-                    data.push(row);
-                })
-                .on('end', () => {
-                    stationScheduleData = data;
-                    resolve();
-                })
-                .on('error', reject);
-        })
-    ]);
+// Helper function to build a YYYY-MM key from the order date
+const orderMonthKey = (item) => {
+    const date = new Date(item['order date (DateOrders)']);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
 };
 
-// Inventory KPIs endpoint
-app.get('/api/inventory/kpis', (req, res) => {
+// Shipping performance (actual vs scheduled) by shipping mode
+app.get('/api/shipping/performance', salesFilter, (req, res) => {
+    if (!salesData.length) {
+        return res.json({ error: "Sales data not found" });
+    }
     try {
-        const totalSkus = new Set(stockData.map(item => item.SKU_No)).size;
-        const totalStockOnHand = stockData.reduce((sum, item) => sum + parseInt(item.Stock_On_Hand || 0), 0);
-        const inTransit = stockData.reduce((sum, item) => sum + parseInt(item.In_Transit || 0), 0);
-        const belowReorderPoint = alertData.filter(item => 
-            parseInt(item.Available || 0) < parseInt(item.Reorder_Point || 0)
-        ).length;
-        const avgLeadTime = stockData.reduce((sum, item) => sum + parseFloat(item.Lead_Time_Days || 0), 0) / stockData.length;
-        const scheduledQty = scheduleData.reduce((sum, item) => sum + parseInt(item.Scheduled_Quantity || 0), 0);
-        
-        res.json({
-            total_skus: totalSkus,
-            total_stock_on_hand: totalStockOnHand,
-            in_transit: inTransit,
-            below_reorder_point: belowReorderPoint,
-            avg_lead_time: Math.round(avgLeadTime * 100) / 100,
-            scheduled_qty: scheduledQty
+        const modes = {};
+        req.salesData.forEach(item => {
+            const mode = item['Shipping Mode'];
+            const actual = parseFloat(item['Days for shipping (real)'] || 0);
+            const scheduled = parseFloat(item['Days for shipment (scheduled)'] || 0);
+            if (!modes[mode]) {
+                modes[mode] = { totalActual: 0, totalScheduled: 0, lateCount: 0, totalCount: 0 };
+            }
+            modes[mode].totalActual += actual;
+            modes[mode].totalScheduled += scheduled;
+            modes[mode].lateCount += actual > scheduled ? 1 : 0;
+            modes[mode].totalCount += 1;
         });
+        res.json(Object.entries(modes).map(([mode, value]) => ({
+            mode: mode,
+            totalActual: value.totalActual,
+            totalScheduled: value.totalScheduled,
+            lateCount: value.lateCount,
+            totalCount: value.totalCount,
+            averageActual: round2(value.totalActual / value.totalCount),
+            averageScheduled: round2(value.totalScheduled / value.totalCount),
+            latePercentage: round2(value.lateCount / value.totalCount * 100)
+        })));
     } catch (error) {
         res.json({ error: error.message });
     }
 });
 
-// Reorder chart endpoint
-app.get('/api/inventory/reorder_chart', (req, res) => {
+// Delivery status breakdown
+app.get('/api/shipping/delivery-status', salesFilter, (req, res) => {
+    if (!salesData.length) {
+        return res.json({ error: "Sales data not found" });
+    }
     try {
-        const chartData = alertData.map(item => ({
-            SKU_No: item.SKU_No,
-            Available: parseInt(item.Available || 0),
-            Reorder_Point: parseInt(item.Reorder_Point || 0)
-        }));
-        res.json(chartData);
+        const statusCounts = {};
+        req.salesData.forEach(item => {
+            const status = item['Delivery Status'];
+            statusCounts[status] = (statusCounts[status] || 0) + 1;
+        });
+        res.json(Object.entries(statusCounts)
+            .sort(([,a], [,b]) => b - a)
+            .map(([status, count]) => ({ status: status, count: count })));
     } catch (error) {
         res.json({ error: error.message });
     }
 });
 
-// Lead times endpoint
-app.get('/api/inventory/lead_times', (req, res) => {
+// Late delivery risk % by shipping mode
+app.get('/api/shipping/late-delivery-risk', salesFilter, (req, res) => {
+    if (!salesData.length) {
+        return res.json({ error: "Sales data not found" });
+    }
     try {
-        const leadTimes = stockData.map(item => ({
-            SKU_No: item.SKU_No,
-            Lead_Time_Days: parseFloat(item.Lead_Time_Days || 0)
-        }));
-        res.json(leadTimes);
+        const modes = {};
+        req.salesData.forEach(item => {
+            const mode = item['Shipping Mode'];
+            if (!modes[mode]) {
+                modes[mode] = { late: 0, count: 0 };
+            }
+            modes[mode].late += item['Late_delivery_risk'] === '1' ? 1 : 0;
+            modes[mode].count += 1;
+        });
+        res.json(Object.entries(modes).map(([mode, value]) => ({
+            mode: mode,
+            risk: round2(value.late / value.count * 100)
+        })));
     } catch (error) {
         res.json({ error: error.message });
     }
 });
 
-// Supplier alerts endpoint
-app.get('/api/inventory/suppliers', (req, res) => {
+// Monthly shipping delay trend
+app.get('/api/shipping/delay-trend', salesFilter, (req, res) => {
+    if (!salesData.length) {
+        return res.json({ error: "Sales data not found" });
+    }
     try {
-        const filtered = alertData.filter(item => 
-            parseInt(item.Available || 0) < parseInt(item.Reorder_Point || 0)
-        );
-        const supplierCounts = {};
-        filtered.forEach(item => {
-            const supplier = item.Supplier;
-            supplierCounts[supplier] = (supplierCounts[supplier] || 0) + 1;
+        const months = {};
+        req.salesData.forEach(item => {
+            const month = orderMonthKey(item);
+            if (!months[month]) {
+                months[month] = { totalActual: 0, totalScheduled: 0, count: 0 };
+            }
+            months[month].totalActual += parseFloat(item['Days for shipping (real)'] || 0);
+            months[month].totalScheduled += parseFloat(item['Days for shipment (scheduled)'] || 0);
+            months[month].count += 1;
         });
-        const result = Object.entries(supplierCounts).map(([supplier, count]) => ({
-            Supplier: supplier,
-            Alert_Count: count
-        }));
-        res.json(result);
+        res.json(Object.entries(months).sort().map(([month, value]) => ({
+            month: month,
+            totalActual: value.totalActual,
+            totalScheduled: value.totalScheduled,
+            count: value.count,
+            averageDelay: round2((value.totalActual - value.totalScheduled) / value.count)
+        })));
     } catch (error) {
         res.json({ error: error.message });
     }
 });
 
-// Inventory data endpoint
-app.get('/api/inventory/:dataset', (req, res) => {
-    const { dataset } = req.params;
-    const fileMap = {
-        'stock_levels': stockData,
-        'alerts': alertData,
-        'bom': bomData,
-        'mrp_plan': mrpData,
-        'production_orders': productionOrdersData,
-        'schedule': scheduleData,
-        'station_schedule': stationScheduleData
-    };
-    
-    if (!fileMap[dataset]) {
-        return res.status(400).json({ error: `Invalid dataset '${dataset}'` });
+// Average actual shipping days by order region
+app.get('/api/shipping/region-performance', salesFilter, (req, res) => {
+    if (!salesData.length) {
+        return res.json({ error: "Sales data not found" });
+    }
+    try {
+        const regions = {};
+        req.salesData.forEach(item => {
+            const region = item['Order Region'];
+            if (!regions[region]) {
+                regions[region] = { totalDays: 0, count: 0 };
+            }
+            regions[region].totalDays += parseFloat(item['Days for shipping (real)'] || 0);
+            regions[region].count += 1;
+        });
+        res.json(Object.entries(regions)
+            .map(([region, value]) => ({
+                region: region,
+                averageDays: round2(value.totalDays / value.count)
+            }))
+            .sort((a, b) => b.averageDays - a.averageDays));
+    } catch (error) {
+        res.json({ error: error.message });
     }
-    
-    res.json(fileMap[dataset]);
 });
 
-// ─── PROCUREMENT APIs ────────────────────────────────
-
-// Load procurement data
-let procurementData = [];
+// ─── CUSTOMER & LOCATION APIs ────────────────────────
 
-const loadProcurementData = () => {
-    return new Promise((resolve, reject) => {
-        const procurementPath = path.join(__dirname, 'Data', 'smart_procurement_insights_dec2017.csv');
-        const data = [];
-        fs.createReadStream(procurementPath)
-            .pipe(csv())
-            .on('data', (row) => {
-                data.push(row);
-            })
-            .on('end', () => {
-                procurementData = data;
-                console.log('Procurement data successfully loaded.');
-                resolve();
-            })
-            .on('error', reject);
+// Helper function to count distinct order items per value of a column
+const countOrdersBy = (data, column) => {
+    const orders = {};
+    data.forEach(item => {
+        const key = item[column];
+        if (!orders[key]) {
+            orders[key] = new Set();
+        }
+        orders[key].add(item['Order Item Id']);
     });
+    return Object.entries(orders)
+        .map(([key, ids]) => [key, ids.size])
+        .sort(([,a], [,b]) => b - a);
 };
 
-// All procurement insights endpoint
-app.get('/api/procurement/insights', (req, res) => {
-    res.json(procurementData);
-});
-
-// Procurement insight by SKU endpoint
-app.get('/api/procurement/insight/:sku_id', (req, res) => {
-    const { sku_id } = req.params;
-    const match = procurementData.filter(item => item.SKU_ID === sku_id);
-    if (match.length === 0) {
-        return res.status(404).json({ message: `No insight found for SKU ${sku_id}` });
-    }
-    res.json(match);
-});
-
-// ─── OPERATOR, SCHEDULE & SUPPLIER SERVICES ──────────
-
-// Load operator data
-let attendanceData = [];
-let leaveRequestsData = [];
-let operatorInsightsData = [];
-
-const loadOperatorData = () => {
-    return Promise.all([
-        new Promise((resolve, reject) => {
-            const attendancePath = path.join(__dirname, 'Data', 'attendance_log.csv');
-            const data = [];
-            fs.createReadStream(attendancePath)
-                .pipe(csv())
-                .on('data', (row) => {
-                    data.push(row);
-                })
-                .on('end', () => {
-                    attendanceData = data;
-                    resolve();
-                })
-                .on('error', reject);
-        }),
-        new Promise((resolve, reject) => {
-            const janPath = path.join(__dirname, 'Data', 'leave_requests_january.csv');
-            const febPath = path.join(__dirname, 'Data', 'leave_requests_february.csv');
-            const data = [];
-            
-            Promise.all([
-                new Promise((resolveJan, rejectJan) => {
-                    fs.createReadStream(janPath)
-                        .pipe(csv())
-                        .on('data', (row) => data.push(row))
-                        .on('end', resolveJan)
-                        .on('error', rejectJan);
-                }),
-                new Promise((resolveFeb, rejectFeb) => {
-                    fs.createReadStream(febPath)
-                        .pipe(csv())
-                        .on('data', (row) => data.push(row))
-                        .on('end', resolveFeb)
-                        .on('error', rejectFeb);
-                })
-            ]).then(() => {
-                leaveRequestsData = data;
-                resolve();
-            }).catch(reject);
-        }),
-        new Promise((resolve, reject) => {
-            const insightsPath = path.join(__dirname, 'Data', 'groq_operator_jan_feb_insights.csv');
-            const data = [];
-            fs.createReadStream(insightsPath)
-                .pipe(csv())
-                .on('data', (row) => {
-                    data.push(row);
-                })
-                .on('end', () => {
-                    operatorInsightsData = data;
-                    resolve();
-                })
-                .on('error', reject);
-        })
-    ]);
+// Helper function to read the optional ?limit= param
+const parseLimit = (value) => {
+    const limit = parseInt(value, 10);
+    return limit > 0 ? limit : undefined;
 };
 
-// Production KPIs endpoint
-app.get('/api/kpis', (req, res) => {
+// Order counts by order region
+app.get('/api/customers/orders-by-region', salesFilter, (req, res) => {
+    if (!salesData.length) {
+        return res.json({ error: "Sales data not found" });
+    }
     try {
-        const totalOperators = new Set(attendanceData.map(item => item.Operator_ID)).size;
-        const today = '2018-01-01';
-        const absentToday = attendanceData.filter(item => 
-            item.Date === today && item.Present === 'No'
-        ).length;
-        const totalUnitsScheduled = stationScheduleData.filter(item => 
-            item.scheduled_date === '01-01-2018'
-        ).reduce((sum, item) => sum + parseInt(item.unit || 0), 0);
-        const uniqueProducts = new Set(stationScheduleData.map(item => item.product_name)).size;
-        
-        res.json({
-            total_operators: totalOperators,
-            absent_today: absentToday,
-            total_units_scheduled: totalUnitsScheduled,
-            unique_products: uniqueProducts
-        });
+        res.json(countOrdersBy(req.salesData, 'Order Region')
+            .map(([region, orderCount]) => ({ region: region, orderCount: orderCount })));
     } catch (error) {
-        res.status(500).json({ error: `KPI error: ${error.message}` });
+        res.json({ error: error.message });
     }
 });
 
-// Schedule table endpoint
-app.get('/api/schedule', (req, res) => {
-    if (!stationScheduleData.length) {
-        return res.status(500).json({ error: "Schedule file not found or corrupted" });
+// Order counts by customer city
+app.get('/api/customers/orders-by-city', salesFilter, (req, res) => {
+    if (!salesData.length) {
+        return res.json({ error: "Sales data not found" });
+    }
+    try {
+        res.json(countOrdersBy(req.salesData, 'Customer City')
+            .slice(0, parseLimit(req.query.limit))
+            .map(([city, orderCount]) => ({ city: city, orderCount: orderCount })));
+    } catch (error) {
+        res.json({ error: error.message });
     }
-    
-    const formattedData = stationScheduleData.map(item => ({
-        Start_Time: item.time,
-        Station_Name: item.station,
-        Operator_Name: item.operator,
-        Model: item.product_model,
-        Product: item.product_name,
-        Date: item.scheduled_date,
-        PO: item.po_number,
-        Units: item.unit
-    }));
-    
-    res.json(formattedData);
 });
 
-// Station chart data endpoint
-app.get('/api/schedule/chart', (req, res) => {
-    if (!stationScheduleData.length) {
-        return res.status(500).json({ error: "Chart data failed" });
+// Total sales by customer city
+app.get('/api/customers/sales-by-city', salesFilter, (req, res) => {
+    if (!salesData.length) {
+        return res.json({ error: "Sales data not found" });
+    }
+    try {
+        const citySales = {};
+        req.salesData.forEach(item => {
+            const city = item['Customer City'];
+            citySales[city] = (citySales[city] || 0) + parseFloat(item.Sales || 0);
+        });
+        res.json(Object.entries(citySales)
+            .sort(([,a], [,b]) => b - a)
+            .slice(0, parseLimit(req.query.limit))
+            .map(([city, totalSales]) => ({ city: city, totalSales: round2(totalSales) })));
+    } catch (error) {
+        res.json({ error: error.message });
     }
-    
-    const stationTotals = {};
-    stationScheduleData.forEach(item => {
-        const station = item.station;
-        const units = parseInt(item.unit || 0);
-        stationTotals[station] = (stationTotals[station] || 0) + units;
-    });
-    
-    const chartData = Object.entries(stationTotals).map(([station, total]) => ({
-        station: station,
-        Total_Units: total
-    }));
-    
-    res.json(chartData);
 });
 
-// Operator workload endpoint
-app.get('/api/schedule/operator_workload', (req, res) => {
-    if (!stationScheduleData.length) {
-        return res.status(500).json({ error: "Workload data failed" });
+// Order Region x Category Name sales matrix (every combination, zero-filled)
+app.get('/api/customers/sales-heatmap', salesFilter, (req, res) => {
+    if (!salesData.length) {
+        return res.json({ error: "Sales data not found" });
+    }
+    try {
+        const regions = new Set();
+        const categories = new Set();
+        const cells = {};
+        req.salesData.forEach(item => {
+            const region = item['Order Region'];
+            const category = item['Category Name'];
+            regions.add(region);
+            categories.add(category);
+            const key = `${region}\u0000${category}`;
+            cells[key] = (cells[key] || 0) + parseFloat(item.Sales || 0);
+        });
+        const heatmap = [];
+        [...regions].sort().forEach(region => {
+            [...categories].sort().forEach(category => {
+                heatmap.push({
+                    region: region,
+                    category: category,
+                    totalSales: round2(cells[`${region}\u0000${category}`] || 0)
+                });
+            });
+        });
+        res.json(heatmap);
+    } catch (error) {
+        res.json({ error: error.message });
     }
-    
-    const operatorTotals = {};
-    stationScheduleData.forEach(item => {
-        const operator = item.operator;
-        const units = parseInt(item.unit || 0);
-        operatorTotals[operator] = (operatorTotals[operator] || 0) + units;
-    });
-    
-    const workloadData = Object.entries(operatorTotals).map(([operator, total]) => ({
-        operator: operator,
-        Total_Units: total
-    }));
-    
-    res.json(workloadData);
 });
 
-// Attendance table endpoint
-app.get('/api/attendance', (req, res) => {
-    const formattedData = attendanceData.map(item => ({
-        date: item.Date,
-        operator_id: item.Operator_ID,
-        operator_name: item.Operator_Name,
-        present: item.Present,
-        shift: item.Shift || 'Day'
-    })).sort((a, b) => new Date(a.date) - new Date(b.date));
-    
-    res.json(formattedData);
-});
+// ─── FORECASTING ENGINE ──────────────────────────────
 
-app.get('/api/attendance/table', (req, res) => {
-    const formattedData = attendanceData.map(item => ({
-        date: item.Date,
-        operator_id: item.Operator_ID,
-        operator_name: item.Operator_Name,
-        present: item.Present,
-        shift: item.Shift || 'Day'
-    })).sort((a, b) => new Date(a.date) - new Date(b.date));
-    
-    res.json(formattedData);
-});
+const MAX_FORECAST_HORIZON = 730;
 
-// Leave requests endpoint
-app.get('/api/leaves', (req, res) => {
-    const formattedData = leaveRequestsData.map(item => ({
-        from_date: item.from_date,
-        to_date: item.to_date,
-        operator_id: item.operator_id,
-        operator_name: item.operator_name,
-        reason: item.reason,
-        status: item.status
-    }));
-    
-    res.json(formattedData);
-});
+// Where the rows behind /api/forecasts came from
+let forecastSource = { source: 'file', file: path.basename(dataPath) };
 
-// All operator insights endpoint
-app.get('/api/insights', (req, res) => {
-    const filteredInsights = operatorInsightsData.filter(item => 
-        item.operator_id && item.ai_insight
-    );
-    res.json({ insights: filteredInsights });
-});
+// Helper function to format a date as a local YYYY-MM-DD key
+const toDayKey = (date) =>
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
 
-// Insight by operator endpoint
-app.get('/api/insights1/:operator_id', (req, res) => {
-    const { operator_id } = req.params;
-    const filtered = operatorInsightsData.filter(item => item.operator_id === operator_id);
-    if (filtered.length === 0) {
-        return res.json({ message: `No insights found for ${operator_id}` });
-    }
-    res.json({ insights1: filtered });
+// Helper function to add days to a YYYY-MM-DD key
+const addDaysToKey = (dayKey, days) => {
+    const date = new Date(dayKey);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+};
+
+// Sales rows identify products by 'Product Card Id' while the forecast files use the pump IDs
+// (M001-M003). A sales row belongs to the pump that Data/product_card_map.csv (optional:
+// Product_Card_Id, PRODUCT_CARD_ID) maps its Product Card Id to, else to the pump whose
+// PRODUCT_NAME matches its 'Product Name', else to the pump with its Product Card Id.
+const productCardMapPath = path.join(__dirname, 'Data', 'product_card_map.csv');
+let productCardMapData = [];
+
+const loadProductCardMap = () => readCsv(dataFilePath(path.basename(productCardMapPath)), { optional: true }).then(data => {
+    productCardMapData = data;
 });
 
-// Operator dropdown endpoint
-app.get('/api/operators/dropdown', (req, res) => {
-    const operators = [...new Set(operatorInsightsData
-        .filter(item => item.operator_id)
-        .map(item => item.operator_id)
-    )].sort();
-    res.json({ operators: operators });
+// Helper function to look up the pump ID a sales row belongs to
+const salesProductIdMapper = () => {
+    const mapping = new Map(productCardMapData.map(row => [row.Product_Card_Id, row.PRODUCT_CARD_ID]));
+    const byName = new Map(forecastData.map(row => [String(row.PRODUCT_NAME).toLowerCase(), row.PRODUCT_CARD_ID]));
+    return (item) => mapping.get(item['Product Card Id'])
+        || byName.get(String(item['Product Name'] || '').toLowerCase())
+        || item['Product Card Id'];
+};
+
+// Error message for pump IDs that have no sales history, or null when there are none
+const noSalesHistoryError = (productIds) => (productIds.length
+    ? `No sales history for ${productIds.join(', ')}: no sales row has that Product Card Id or Product Name`
+    : null);
+
+const missingHistoryError = (productIds, histories) =>
+    noSalesHistoryError(productIds.filter(id => !histories.some(history => history.PRODUCT_CARD_ID === id)));
+
+// Build a zero-filled daily quantity series per pump from the sales history
+const buildDailyHistory = (data) => {
+    const productIdOf = salesProductIdMapper();
+    const products = {};
+    data.forEach(item => {
+        const orderDate = item['order date (DateOrders)'];
+        const productId = productIdOf(item);
+        if (!productId || !(orderDate instanceof Date) || isNaN(orderDate)) {
+            return;
+        }
+        if (!products[productId]) {
+            const forecastRow = forecastData.find(row => row.PRODUCT_CARD_ID === productId);
+            products[productId] = { name: forecastRow ? forecastRow.PRODUCT_NAME : item['Product Name'], days: {} };
+        }
+        const day = toDayKey(orderDate);
+        products[productId].days[day] = (products[productId].days[day] || 0) +
+            parseFloat(item['Order Item Quantity'] || 0);
+    });
+
+    return Object.entries(products).map(([productId, product]) => {
+        const keys = Object.keys(product.days).sort();
+        const dates = [];
+        const values = [];
+        for (let day = keys[0]; day <= keys[keys.length - 1]; day = addDaysToKey(day, 1)) {
+            dates.push(day);
+            values.push(product.days[day] || 0);
+        }
+        return { PRODUCT_CARD_ID: productId, PRODUCT_NAME: product.name, dates: dates, values: values };
+    });
+};
+
+// Forecast methods: (values, horizon, options) -> array of `horizon` point forecasts
+const forecastMethods = {
+    'seasonal-naive': (values, horizon, { seasonLength }) => {
+        const lastSeason = values.slice(-seasonLength);
+        return Array.from({ length: horizon }, (_, h) => lastSeason[h % lastSeason.length]);
+    },
+    'moving-average': (values, horizon, { window }) => {
+        const recent = values.slice(-window);
+        const mean = recent.reduce((sum, value) => sum + value, 0) / recent.length;
+        return Array(horizon).fill(mean);
+    },
+    // Additive Holt-Winters (level, trend and seasonal components)
+    'holt-winters': (values, horizon, { seasonLength, alpha, beta, gamma }) => {
+        const m = seasonLength;
+        if (values.length < m * 2) {
+            return forecastMethods['moving-average'](values, horizon, { window: values.length });
+        }
+        const seasonMean = (start) => values.slice(start, start + m).reduce((sum, value) => sum + value, 0) / m;
+        let level = seasonMean(0);
+        let trend = (seasonMean(m) - seasonMean(0)) / m;
+        const seasonals = values.slice(0, m).map(value => value - level);
+
+        for (let t = m; t < values.length; t++) {
+            const seasonal = seasonals[t % m];
+            const previousLevel = level;
+            level = alpha * (values[t] - seasonal) + (1 - alpha) * (level + trend);
+            trend = beta * (level - previousLevel) + (1 - beta) * trend;
+            seasonals[t % m] = gamma * (values[t] - level) + (1 - gamma) * seasonal;
+        }
+        return Array.from({ length: horizon }, (_, h) =>
+            level + (h + 1) * trend + seasonals[(values.length + h) % m]);
+    }
+};
+
+const defaultForecastOptions = { seasonLength: 7, window: 28, alpha: 0.3, beta: 0.05, gamma: 0.2 };
+
+// Validate POST /api/forecasts/generate params and return { options } or { error }
+const parseForecastOptions = (body) => {
+    const options = {
+        method: body.method || 'holt-winters',
+        horizon: body.horizon === undefined ? 365 : Number(body.horizon),
+        ...defaultForecastOptions
+    };
+    if (!Object.hasOwn(forecastMethods, options.method)) {
+        return { error: `Invalid method '${options.method}', expected one of ${Object.keys(forecastMethods).join(', ')}` };
+    }
+    if (!Number.isInteger(options.horizon) || options.horizon < 1 || options.horizon > MAX_FORECAST_HORIZON) {
+        return { error: `horizon must be an integer between 1 and ${MAX_FORECAST_HORIZON}` };
+    }
+    for (const key of ['seasonLength', 'window']) {
+        if (body[key] !== undefined) {
+            options[key] = Number(body[key]);
+            if (!Number.isInteger(options[key]) || options[key] < 1) {
+                return { error: `${key} must be a positive integer` };
+            }
+        }
+    }
+    for (const key of ['alpha', 'beta', 'gamma']) {
+        if (body[key] !== undefined) {
+            options[key] = Number(body[key]);
+            if (!(options[key] >= 0 && options[key] <= 1)) {
+                return { error: `${key} must be between 0 and 1` };
+            }
+        }
+    }
+    return { options };
+};
+
+// Levels the weekly S&OP pack reports (the forecast endpoints only add the ones ?confidence= asks for)
+const DEFAULT_CONFIDENCE_LEVELS = [80, 95];
+const STD_ESTIMATION_DAYS = 28;
+
+// Inverse standard normal CDF (Acklam's rational approximation)
+const normalQuantile = (p) => {
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const low = 0.02425;
+
+    if (p < low) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - low) {
+        return -normalQuantile(1 - p);
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+// Parse ?confidence=80,95 and return { levels } or { error }; no levels when it is not given
+const parseConfidenceLevels = (value) => {
+    if (value === undefined) {
+        return { levels: [] };
+    }
+    const levels = queryValues(value).map(Number);
+    const invalid = levels.find(level => !(level >= 50 && level < 100));
+    if (invalid !== undefined || !levels.length) {
+        return { error: 'confidence must be one or more levels between 50 and 99.9' };
+    }
+    return { levels: [...new Set(levels)].sort((x, y) => x - y) };
+};
+
+// Two-sided normal bounds for each level, e.g. { Lower_80, Upper_80, Lower_95, Upper_95 }
+const predictionBounds = (value, std, levels, lowerPrefix, upperPrefix) => {
+    const bounds = {};
+    levels.forEach(level => {
+        const margin = std == null ? null : normalQuantile(0.5 + level / 200) * std;
+        bounds[`${lowerPrefix}${level}`] = margin === null ? null : Math.max(0, value - margin);
+        bounds[`${upperPrefix}${level}`] = margin === null ? null : value + margin;
+    });
+    return bounds;
+};
+
+// Daily forecast error spread: RMSE of the method on the last few weeks of history
+const estimateForecastStd = (values, method, options) => {
+    const holdout = Math.min(STD_ESTIMATION_DAYS, Math.floor(values.length / 3));
+    if (holdout < 1) {
+        return null;
+    }
+    const actuals = values.slice(-holdout);
+    const points = forecastMethods[method](values.slice(0, -holdout), holdout, options);
+    const squaredError = actuals.reduce((sum, actual, i) => sum + Math.pow(actual - Math.max(0, points[i]), 2), 0);
+    return Math.sqrt(squaredError / holdout);
+};
+
+// Attach Forecast_Std to forecast rows. Rows loaded from all_pump_forecasts.csv carry no
+// error estimate, so they get the moving-average baseline error from the sales history.
+const withForecastStd = (rows) => {
+    const baselines = {};
+    let histories = null;
+    const baselineStd = (productId) => {
+        if (!(productId in baselines)) {
+            histories = histories || buildDailyHistory(salesData);
+            const history = histories.find(item => item.PRODUCT_CARD_ID === productId);
+            baselines[productId] = history
+                ? estimateForecastStd(history.values, 'moving-average', defaultForecastOptions)
+                : null;
+        }
+        return baselines[productId];
+    };
+    return rows.map(row => row.Forecast_Std !== undefined
+        ? row
+        : { ...row, Forecast_Std: baselineStd(row.PRODUCT_CARD_ID) });
+};
+
+// Fit one product's daily history and return rows in the all_pump_forecasts.csv shape
+const forecastProduct = (history, options) => {
+    const points = forecastMethods[options.method](history.values, options.horizon, options);
+    const std = estimateForecastStd(history.values, options.method, options);
+    const lastDay = history.dates[history.dates.length - 1];
+    return points.map((value, h) => ({
+        Date: new Date(addDaysToKey(lastDay, h + 1)),
+        Forecasted_Demand: Math.max(0, value),
+        Forecast_Std: std,
+        PRODUCT_CARD_ID: history.PRODUCT_CARD_ID,
+        PRODUCT_NAME: history.PRODUCT_NAME
+    }));
+};
+
+// Generate forecasts from the sales history and replace the served forecast rows
+app.post('/api/forecasts/generate', (req, res) => {
+    if (!salesData.length) {
+        return res.json({ error: "Sales data not found" });
+    }
+    const { options, error } = parseForecastOptions(req.body || {});
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+    try {
+        const productIds = req.body.PRODUCT_CARD_ID ? queryValues(req.body.PRODUCT_CARD_ID) : null;
+        const histories = buildDailyHistory(salesData)
+            .filter(history => !productIds || productIds.includes(history.PRODUCT_CARD_ID));
+        const missing = productIds && missingHistoryError(productIds, histories);
+        if (missing) {
+            return res.status(404).json({ error: missing });
+        }
+        if (!histories.length) {
+            return res.status(404).json({ error: 'No sales history found for the requested products' });
+        }
+
+        const generated = histories.flatMap(history => forecastProduct(history, options));
+        const generatedIds = new Set(histories.map(history => history.PRODUCT_CARD_ID));
+        forecastData = forecastData
+            .filter(row => !generatedIds.has(row.PRODUCT_CARD_ID))
+            .concat(generated);
+        forecastSource = {
+            source: 'generated',
+            method: options.method,
+            horizon: options.horizon,
+            generated_at: new Date().toISOString()
+        };
+
+        res.json({
+            ...forecastSource,
+            products: histories.map(history => ({
+                PRODUCT_CARD_ID: history.PRODUCT_CARD_ID,
+                PRODUCT_NAME: history.PRODUCT_NAME,
+                history_days: history.values.length,
+                forecast_start: addDaysToKey(history.dates[history.dates.length - 1], 1)
+            })),
+            rows: generated.length
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
-// ─── SUPPLIER PERFORMANCE APIs ───────────────────────
+// Describe where the current forecast rows came from
+app.get('/api/forecasts/source', (req, res) => {
+    res.json(forecastSource);
+});
 
-// Load supplier data
-let suppliersData = [];
-let alternateSuppliersData = [];
-let supplierInsightsData = [];
+// ─── FORECAST ACCURACY ───────────────────────────────
 
-const loadSupplierData = () => {
+const DEFAULT_HOLDOUT_DAYS = 90;
+const TRACKING_SIGNAL_LIMIT = 4;
+
+// Error metrics over matched { actual, forecast } periods
+const forecastErrorMetrics = (pairs) => {
+    const totalActual = pairs.reduce((sum, pair) => sum + pair.actual, 0);
+    const totalAbsError = pairs.reduce((sum, pair) => sum + Math.abs(pair.actual - pair.forecast), 0);
+    const totalError = pairs.reduce((sum, pair) => sum + (pair.forecast - pair.actual), 0);
+    const nonZero = pairs.filter(pair => pair.actual > 0);
+    const mad = totalAbsError / (pairs.length || 1);
+
+    return {
+        mape: nonZero.length
+            ? round2(nonZero.reduce((sum, pair) => sum + Math.abs(pair.actual - pair.forecast) / pair.actual, 0) / nonZero.length * 100)
+            : null,
+        wape: totalActual ? round2(totalAbsError / totalActual * 100) : null,
+        bias: round2(totalError / (pairs.length || 1)),
+        bias_percent: totalActual ? round2(totalError / totalActual * 100) : null,
+        // Running sum of (actual - forecast) in units of MAD
+        tracking_signal: mad ? round2(-totalError / mad) : 0
+    };
+};
+
+// Hold out the last `holdout` days of a product's history and score a method on them
+const backtestProduct = (history, method, holdout, granularity) => {
+    const trainValues = history.values.slice(0, -holdout);
+    const testDates = history.dates.slice(-holdout);
+    const testValues = history.values.slice(-holdout);
+    const points = forecastMethods[method](trainValues, holdout, { ...defaultForecastOptions });
+
+    const actualBuckets = aggregateData(testDates.map((day, i) => ({
+        Date: new Date(day),
+        Forecasted_Demand: testValues[i]
+    })), granularity);
+    const forecastBuckets = aggregateData(testDates.map((day, i) => ({
+        Date: new Date(day),
+        Forecasted_Demand: Math.max(0, points[i])
+    })), granularity);
+
+    const periods = actualBuckets.map((bucket, i) => ({
+        period: bucket.period,
+        actual: round2(bucket.total_demand),
+        forecast: round2(forecastBuckets[i].total_demand),
+        error: round2(forecastBuckets[i].total_demand - bucket.total_demand)
+    }));
+    const metrics = forecastErrorMetrics(periods);
+
+    return {
+        method: method,
+        ...metrics,
+        drifting: Math.abs(metrics.tracking_signal) > TRACKING_SIGNAL_LIMIT,
+        periods: periods
+    };
+};
+
+// Backtest forecast methods per product and report MAPE, WAPE, bias and tracking signal
+app.get('/api/forecasts/accuracy', (req, res) => {
+    if (!salesData.length) {
+        return res.json({ error: "Sales data not found" });
+    }
+    const granularity = req.query.granularity || 'weekly';
+    const holdout = req.query.holdout === undefined ? DEFAULT_HOLDOUT_DAYS : Number(req.query.holdout);
+    const methods = !req.query.method || req.query.method === 'all'
+        ? Object.keys(forecastMethods)
+        : queryValues(req.query.method);
+
+    if (!['weekly', 'monthly', 'quarterly'].includes(granularity)) {
+        return res.status(400).json({ error: `Invalid granularity '${granularity}'` });
+    }
+    if (!Number.isInteger(holdout) || holdout < 7) {
+        return res.status(400).json({ error: 'holdout must be an integer of at least 7 days' });
+    }
+    const invalidMethod = methods.find(method => !Object.hasOwn(forecastMethods, method));
+    if (invalidMethod) {
+        return res.status(400).json({ error: `Invalid method '${invalidMethod}'` });
+    }
+
+    try {
+        const productIds = req.query.PRODUCT_CARD_ID ? queryValues(req.query.PRODUCT_CARD_ID) : null;
+        const histories = buildDailyHistory(salesData)
+            .filter(history => !productIds || productIds.includes(history.PRODUCT_CARD_ID));
+        const missing = productIds && missingHistoryError(productIds, histories);
+        if (missing) {
+            return res.status(404).json({ error: missing });
+        }
+        const products = histories
+            .filter(history => history.values.length > holdout * 2)
+            .map(history => {
+                const results = methods.map(method => backtestProduct(history, method, holdout, granularity));
+                const ranked = results.filter(result => result.wape !== null)
+                    .sort((a, b) => a.wape - b.wape);
+                return {
+                    PRODUCT_CARD_ID: history.PRODUCT_CARD_ID,
+                    PRODUCT_NAME: history.PRODUCT_NAME,
+                    holdout_start: history.dates[history.dates.length - holdout],
+                    best_method: ranked.length ? ranked[0].method : null,
+                    methods: results
+                };
+            });
+
+        res.json({
+            granularity: granularity,
+            holdout_days: holdout,
+            tracking_signal_limit: TRACKING_SIGNAL_LIMIT,
+            products: products
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ─── INVENTORY APIs ──────────────────────────────────
+
+// Load inventory data
+let stockData = [];
+let alertData = [];
+let scheduleData = [];
+let bomData = [];
+let mrpData = [];
+let productionOrdersData = [];
+let stationScheduleData = [];
+
+// bom_data.csv has two "Station" columns: the production line station used by the MRP plan
+// and production orders, then the routing station used by the scheduler. bomData keeps the
+// file's last-wins Station; the line station is kept per product and SKU.
+let bomLineStations = new Map();
+
+// Load BOM rows read with renameDuplicates
+const applyBomRows = (rows) => {
+    bomLineStations = new Map(rows.map(row => [`${row.PRODUCT_CARD_ID}|${row.SKU_No}`, row.Station]));
+    bomData = rows.map(({ Station_2, ...row }) => ({ ...row, Station: Station_2 === undefined ? row.Station : Station_2 }));
+};
+
+const bomLineStation = (item) => bomLineStations.get(`${item.PRODUCT_CARD_ID}|${item.SKU_No}`) || item.Station;
+
+// Stock movements (receipts, completions) are saved to the state copy, which wins over the seed file
+const stockLevelsPath = path.join(__dirname, 'Data', 'total_stock_levels_updated.csv');
+const stockLevelsStatePath = statePath(path.basename(stockLevelsPath));
+const stockLevelHeaders = ['SKU_No', 'Stock_On_Hand', 'In_Transit', 'Lead_Time_Days'];
+const stationSchedulePath = path.join(__dirname, 'Data', 'total_station_schedule_updated.csv');
+const stationScheduleStatePath = statePath(path.basename(stationSchedulePath));
+const stationScheduleHeaders = ['Time', 'Station', 'Operator', 'Product_Model', 'Product_Name', 'Scheduled_Date', 'PO_Number', 'Unit'];
+
+const loadInventoryData = () => {
     return Promise.all([
         new Promise((resolve, reject) => {
-            const suppliersPath = path.join(__dirname, 'Data', 'suppliers.csv');
             const data = [];
-            fs.createReadStream(suppliersPath)
-                .pipe(csv())
+            fs.createReadStream(dataFilePath(path.basename(stockLevelsPath)))
+                .pipe(csv(csvOptions()))
                 .on('data', (row) => {
                     data.push(row);
                 })
                 .on('end', () => {
-                    suppliersData = data;
+                    stockData = data;
                     resolve();
                 })
                 .on('error', reject);
         }),
         new Promise((resolve, reject) => {
-            const altPath = path.join(__dirname, 'Data', 'alternate_suppliers.csv');
+            const alertPath = path.join(__dirname, 'Data', 'total_demo_sku_inventory_alerts.csv');
             const data = [];
-            fs.createReadStream(altPath)
-                .pipe(csv())
+            fs.createReadStream(alertPath)
+                .pipe(csv(csvOptions()))
                 .on('data', (row) => {
                     data.push(row);
                 })
                 .on('end', () => {
-                    alternateSuppliersData = data;
+                    alertData = data;
                     resolve();
                 })
                 .on('error', reject);
         }),
         new Promise((resolve, reject) => {
-            const insightsPath = path.join(__dirname, 'Data', 'ai_supplier_insight_output.csv');
+            const schedulePath = dataFilePath('total_production_schedule.csv');
             const data = [];
-            fs.createReadStream(insightsPath)
-                .pipe(csv())
+            fs.createReadStream(schedulePath)
+                .pipe(csv(csvOptions()))
                 .on('data', (row) => {
                     data.push(row);
                 })
                 .on('end', () => {
-                    supplierInsightsData = data;
+                    scheduleData = data;
                     resolve();
                 })
                 .on('error', reject);
-        })
-    ]);
-};
-
-// Supplier data endpoint
-app.get('/api/suppliers/:endpoint/:supplier', (req, res) => {
-    const { endpoint, supplier } = req.params;
-    const match = suppliersData.filter(item => 
-        item.Supplier_Name.toLowerCase() === supplier.toLowerCase()
-    );
-    
-    if (match.length === 0) {
-        return res.status(404).json({ error: `${supplier} not found` });
-    }
-    
-    const supplierData = match[0];
-    
-    if (endpoint === 'kpis') {
-        res.json({
-            supplier: supplierData.Supplier_Name,
-            lead_time_days: parseFloat(supplierData.Lead_Time_Days),
-            fulfillment_rate_percent: parseFloat(supplierData.Fulfillment_Rate.replace('%', '')),
-            otd_percent: parseFloat(supplierData.OTD_Percentage.replace('%', '')),
-            late_deliveries: parseInt(supplierData.Late_Deliveries),
-            total_orders: parseInt(supplierData.Total_Orders)
-        });
-    } else if (endpoint === 'metrics') {
-        res.json({
-            "OTD %": parseFloat(supplierData.OTD_Percentage.replace('%', '')),
-            "Quality Score": parseFloat(supplierData.Quality_Score),
-            "Fulfillment %": parseFloat(supplierData.Fulfillment_Rate.replace('%', ''))
-        });
-    } else if (endpoint === 'delivery-stats') {
-        const totalOrders = parseInt(supplierData.Total_Orders);
-        const lateDeliveries = parseInt(supplierData.Late_Deliveries);
-        res.json({
-            on_time: totalOrders - lateDeliveries,
-            late: lateDeliveries,
-            total: totalOrders
-        });
-    } else {
-        res.status(400).json({ error: `Unknown supplier endpoint '${endpoint}'` });
-    }
-});
-
-// List suppliers endpoint
-app.get('/api/suppliers/list', (req, res) => {
-    const suppliers = [...new Set(suppliersData
-        .filter(item => item.Supplier_Name)
-        .map(item => item.Supplier_Name)
-    )].sort();
-    res.json(suppliers);
-});
-
-// Alternate suppliers endpoint
-app.get('/api/suppliers/alternates/:supplier', (req, res) => {
-    const { supplier } = req.params;
-    const mainSupplier = suppliersData.find(item => 
-        item.Supplier_Name.toLowerCase() === supplier.toLowerCase()
-    );
-    
-    if (!mainSupplier) {
-        return res.status(404).json({ error: `${supplier} not found` });
-    }
-    
-    const skus = mainSupplier.SKU_No;
-    const filtered = alternateSuppliersData.filter(item => item.sku_id === skus);
-    
-    const result = filtered.map(item => ({
-        sku_id: item.sku_id,
-        supplier_name: item.supplier_name,
-        otd_percentage: item.otd_percentage,
-        quality_score: item.quality_score,
-        email: item.email,
-        location: item.location
-    })).filter(item => item.sku_id && item.supplier_name);
-    
-    res.json(result);
-});
-
-// Supplier insight endpoint - handle both SKU and supplier name
-app.get('/api/suppliers/insight/:identifier', (req, res) => {
-    const { identifier } = req.params;
-    
-    // First try to find by supplier name
-    const supplierMatch = suppliersData.find(item => 
-        item.Supplier_Name.toLowerCase() === identifier.toLowerCase()
-    );
-    
-    if (supplierMatch) {
-        // If found by supplier name, look for insights by SKU
-        const skuInsights = supplierInsightsData.filter(item => 
-            item.sku_id.toLowerCase() === supplierMatch.SKU_No.toLowerCase()
-        );
-        
-        if (skuInsights.length > 0) {
-            return res.json({
-                sku_id: supplierMatch.SKU_No,
-                supplier_name: supplierMatch.Supplier_Name,
-                insight: skuInsights[0].ai_supplier_insight
-            });
-        }
-    }
-    
-    // If not found by supplier name, try direct SKU lookup
-    const skuMatch = supplierInsightsData.filter(item => 
-        item.sku_id.toLowerCase() === identifier.toLowerCase()
-    );
-    
-    if (skuMatch.length > 0) {
-        return res.json({
-            sku_id: identifier,
-            insight: skuMatch[0].ai_supplier_insight
-        });
-    }
-    
-    return res.status(404).json({ error: `No AI insight found for ${identifier}` });
-});
-
-// ─── INSIGHTS APIs ───────────────────────────────────
-
-// Load insights data
-let monthlyInsightsData = [];
-let quarterlyInsightsData = [];
-let yearlyInsightsData = [];
-
-const loadHistoricalInsightsData = () => {
-    return Promise.all([
+        }),
         new Promise((resolve, reject) => {
-            const monthlyPath = path.join(__dirname, 'Data', 'groq_monthly_insights.csv');
+            const bomPath = dataFilePath('bom_data.csv');
             const data = [];
-            fs.createReadStream(monthlyPath)
-                .pipe(csv())
+            fs.createReadStream(bomPath)
+                .pipe(csv(csvOptions({ renameDuplicates: true })))
                 .on('data', (row) => {
                     data.push(row);
                 })
                 .on('end', () => {
-                    monthlyInsightsData = data;
+                    applyBomRows(data);
                     resolve();
                 })
                 .on('error', reject);
         }),
         new Promise((resolve, reject) => {
-            const quarterlyPath = path.join(__dirname, 'Data', 'groq_quarterly_regional_insights.csv');
+            const mrpPath = dataFilePath('total_mrp_plan_updated.csv');
             const data = [];
-            fs.createReadStream(quarterlyPath)
-                .pipe(csv())
+            fs.createReadStream(mrpPath)
+                .pipe(csv(csvOptions()))
                 .on('data', (row) => {
                     data.push(row);
                 })
                 .on('end', () => {
-                    quarterlyInsightsData = data;
+                    mrpData = data;
                     resolve();
                 })
                 .on('error', reject);
         }),
         new Promise((resolve, reject) => {
-            const yearlyPath = path.join(__dirname, 'Data', 'groq_yearly_regional_insights.csv');
+            const ordersPath = dataFilePath('total_production_orders.csv');
             const data = [];
-            fs.createReadStream(yearlyPath)
-                .pipe(csv())
+            fs.createReadStream(ordersPath)
+                .pipe(csv(csvOptions()))
                 .on('data', (row) => {
                     data.push(row);
                 })
                 .on('end', () => {
-                    yearlyInsightsData = data;
+                    productionOrdersData = data;
                     resolve();
                 })
                 .on('error', reject);
-        })
-    ]);
-};
-
-// Insights by period endpoint
-app.get('/api/insights/:period', (req, res) => {
-    const { period } = req.params;
-    const fileMap = {
-        'monthly': monthlyInsightsData,
-        'quarterly': quarterlyInsightsData,
-        'yearly': yearlyInsightsData
+        }),
+        new Promise((resolve, reject) => {
+            const data = [];
+            fs.createReadStream(dataFilePath(path.basename(stationSchedulePath)))
+                .pipe(csv(csvOptions()))
+                .on('data', (row) => {
+                    data.push(row);
+                })
+                .on('end', () => {
+                    stationScheduleData = data;
+                    resolve();
+                })
+                .on('error', reject);
+        })
+    ]);
+};
+
+// Helper function to compute the inventory KPI cards
+const inventoryKpis = () => {
+    const totalSkus = new Set(stockData.map(item => item.SKU_No)).size;
+    const totalStockOnHand = stockData.reduce((sum, item) => sum + parseInt(item.Stock_On_Hand || 0), 0);
+    const inTransit = stockData.reduce((sum, item) => sum + parseInt(item.In_Transit || 0), 0);
+    const belowReorderPoint = alertData.filter(item => 
+        parseInt(item.Available || 0) < parseInt(item.Reorder_Point || 0)
+    ).length;
+    const avgLeadTime = stockData.reduce((sum, item) => sum + parseFloat(item.Lead_Time_Days || 0), 0) / stockData.length;
+    const scheduledQty = scheduleData.reduce((sum, item) => sum + parseInt(item.Scheduled_Quantity || 0), 0);
+
+    return {
+        total_skus: totalSkus,
+        total_stock_on_hand: totalStockOnHand,
+        in_transit: inTransit,
+        below_reorder_point: belowReorderPoint,
+        avg_lead_time: Math.round(avgLeadTime * 100) / 100,
+        scheduled_qty: scheduledQty
+    };
+};
+
+// Inventory KPIs endpoint
+app.get('/api/inventory/kpis', (req, res) => {
+    try {
+        res.json(inventoryKpis());
+    } catch (error) {
+        res.json({ error: error.message });
+    }
+});
+
+// Reorder chart endpoint
+app.get('/api/inventory/reorder_chart', (req, res) => {
+    try {
+        const chartData = alertData.map(item => ({
+            SKU_No: item.SKU_No,
+            Available: parseInt(item.Available || 0),
+            Reorder_Point: parseInt(item.Reorder_Point || 0)
+        }));
+        sendReport(req, res, chartData);
+    } catch (error) {
+        res.json({ error: error.message });
+    }
+});
+
+// Lead times endpoint
+app.get('/api/inventory/lead_times', (req, res) => {
+    try {
+        const leadTimes = stockData.map(item => ({
+            SKU_No: item.SKU_No,
+            Lead_Time_Days: parseFloat(item.Lead_Time_Days || 0)
+        }));
+        sendReport(req, res, leadTimes);
+    } catch (error) {
+        res.json({ error: error.message });
+    }
+});
+
+// Supplier alerts endpoint
+app.get('/api/inventory/suppliers', (req, res) => {
+    try {
+        const filtered = alertData.filter(item => 
+            parseInt(item.Available || 0) < parseInt(item.Reorder_Point || 0)
+        );
+        const supplierCounts = {};
+        filtered.forEach(item => {
+            const supplier = item.Supplier;
+            supplierCounts[supplier] = (supplierCounts[supplier] || 0) + 1;
+        });
+        const result = Object.entries(supplierCounts).map(([supplier, count]) => ({
+            Supplier: supplier,
+            Alert_Count: count
+        }));
+        sendReport(req, res, result);
+    } catch (error) {
+        res.json({ error: error.message });
+    }
+});
+
+// ─── SAFETY STOCK & REORDER POINTS ───────────────────
+
+const DEFAULT_SERVICE_LEVEL = 95;
+const serviceLevelsPath = statePath('sku_service_levels.csv');
+const serviceLevelHeaders = ['SKU_No', 'Service_Level', 'Lead_Time_Std_Days'];
+let serviceLevelData = [];
+
+const loadServiceLevelData = async () => {
+    serviceLevelData = await readCsv(serviceLevelsPath, { optional: true });
+};
+
+// Daily demand per SKU: forecast units exploded through the BOM quantities
+const skuDailyDemand = (days) => {
+    const bomByProduct = {};
+    bomData.forEach(item => {
+        (bomByProduct[item.PRODUCT_CARD_ID] = bomByProduct[item.PRODUCT_CARD_ID] || []).push(item);
+    });
+    const firstDay = forecastData.reduce((min, row) => (!min || row.Date < min ? row.Date : min), null);
+    const lastDay = firstDay && days ? new Date(firstDay.getTime() + days * 24 * 60 * 60 * 1000) : null;
+
+    const demand = {};
+    forecastData
+        .filter(row => !lastDay || row.Date < lastDay)
+        .forEach(row => {
+            const day = row.Date.toISOString().slice(0, 10);
+            (bomByProduct[row.PRODUCT_CARD_ID] || []).forEach(component => {
+                const sku = component.SKU_No;
+                demand[sku] = demand[sku] || {};
+                demand[sku][day] = (demand[sku][day] || 0) + row.Forecasted_Demand * parseFloat(component.Quantity || 0);
+            });
+        });
+    return demand;
+};
+
+// Recompute Safety_Stock and Reorder_Point for every SKU.
+// Lead time is the supplier's quoted Lead_Time_Days plus lateness: a share p of orders
+// (Late_Deliveries / Total_Orders) arrives Avg_Late_Per_Order days late, so the lead time
+// has mean LT + p*L and variance p(1-p)*L^2 unless Lead_Time_Std_Days is configured.
+// SS = z * sqrt(LT * sigma_d^2 + d^2 * sigma_LT^2), ROP = d * LT + SS.
+const calculateReorderPoints = ({ days } = {}) => {
+    const demand = skuDailyDemand(days);
+    const stockBySku = new Map(stockData.map(item => [item.SKU_No, item]));
+    const supplierBySku = new Map(suppliersData.map(item => [item.SKU_No, item]));
+    const configBySku = new Map(serviceLevelData.map(item => [item.SKU_No, item]));
+    const skus = [...new Set([...stockData.map(item => item.SKU_No), ...Object.keys(demand)])].sort();
+
+    return skus.map(sku => {
+        const values = Object.values(demand[sku] || {});
+        const mean = values.reduce((sum, value) => sum + value, 0) / (values.length || 1);
+        const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (values.length || 1);
+        const stock = stockBySku.get(sku) || {};
+        const supplier = supplierBySku.get(sku) || {};
+        const config = configBySku.get(sku) || {};
+
+        const quotedLeadTime = parseFloat(supplier.Lead_Time_Days || stock.Lead_Time_Days || 0);
+        const lateShare = parseInt(supplier.Total_Orders || 0)
+            ? parseInt(supplier.Late_Deliveries || 0) / parseInt(supplier.Total_Orders)
+            : 0;
+        const lateDays = parseFloat(supplier.Avg_Late_Per_Order || 0);
+        const leadTime = quotedLeadTime + lateShare * lateDays;
+        const leadTimeStd = config.Lead_Time_Std_Days !== undefined && config.Lead_Time_Std_Days !== ''
+            ? parseFloat(config.Lead_Time_Std_Days)
+            : Math.sqrt(lateShare * (1 - lateShare)) * lateDays;
+        const serviceLevel = parseFloat(config.Service_Level || DEFAULT_SERVICE_LEVEL);
+        const z = normalQuantile(serviceLevel / 100);
+        const safetyStock = Math.ceil(z * Math.sqrt(leadTime * variance + mean * mean * leadTimeStd * leadTimeStd));
+
+        return {
+            SKU_No: sku,
+            Avg_Daily_Demand: round2(mean),
+            Std_Dev: round2(Math.sqrt(variance)),
+            Lead_Time: round2(leadTime),
+            Lead_Time_Std: round2(leadTimeStd),
+            Service_Level: serviceLevel,
+            Safety_Stock: safetyStock,
+            Reorder_Point: Math.ceil(mean * leadTime + safetyStock),
+            Available: parseInt(stock.Stock_On_Hand || 0) + parseInt(stock.In_Transit || 0),
+            Supplier: supplier.Supplier_Name || '',
+            Email: supplier.Email || ''
+        };
+    });
+};
+
+// Set after the first calculation; the one at startup has no earlier state to compare with
+let reorderPointsCalculated = false;
+
+// Replace alertData with freshly calculated reorder points (kpis, reorder_chart and suppliers read it)
+const refreshReorderPoints = (options) => {
+    if (!forecastData.length || !bomData.length || !stockData.length) {
+        return alertData;
+    }
+    const previous = alertData;
+    alertData = calculateReorderPoints(options);
+    if (reorderPointsCalculated) {
+        publishReorderCrossings(previous, alertData);
+    }
+    reorderPointsCalculated = true;
+    publishKpis(['inventory']);
+    return alertData;
+};
+
+// Recalculate safety stock and reorder points
+app.post('/api/inventory/reorder_points/recalculate', (req, res) => {
+    const days = req.body && req.body.days !== undefined ? Number(req.body.days) : undefined;
+    if (days !== undefined && !(Number.isInteger(days) && days > 0)) {
+        return res.status(400).json({ error: 'days must be a positive integer' });
+    }
+    try {
+        const rows = refreshReorderPoints({ days: days });
+        res.json({
+            skus: rows.length,
+            below_reorder_point: rows.filter(item => item.Available < item.Reorder_Point).length,
+            reorder_points: rows
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Service level configuration per SKU
+app.get('/api/inventory/service_levels', (req, res) => {
+    const configBySku = new Map(serviceLevelData.map(item => [item.SKU_No, item]));
+    res.json(stockData.map(item => {
+        const config = configBySku.get(item.SKU_No) || {};
+        return {
+            SKU_No: item.SKU_No,
+            Service_Level: parseFloat(config.Service_Level || DEFAULT_SERVICE_LEVEL),
+            Lead_Time_Std_Days: config.Lead_Time_Std_Days !== undefined && config.Lead_Time_Std_Days !== ''
+                ? parseFloat(config.Lead_Time_Std_Days)
+                : null
+        };
+    }));
+});
+
+app.put('/api/inventory/service_levels/:sku', (req, res) => {
+    const { sku } = req.params;
+    const { service_level, lead_time_std_days } = req.body || {};
+    if (!stockData.some(item => item.SKU_No === sku)) {
+        return res.status(404).json({ error: `SKU ${sku} not found` });
+    }
+    if (service_level !== undefined && !(Number(service_level) >= 50 && Number(service_level) < 100)) {
+        return res.status(400).json({ error: 'service_level must be between 50 and 99.9' });
+    }
+    if (lead_time_std_days !== undefined && lead_time_std_days !== null && !(Number(lead_time_std_days) >= 0)) {
+        return res.status(400).json({ error: 'lead_time_std_days must be a non-negative number' });
+    }
+    try {
+        const current = serviceLevelData.find(item => item.SKU_No === sku) || {};
+        const updated = {
+            SKU_No: sku,
+            Service_Level: service_level !== undefined ? Number(service_level) : (current.Service_Level || DEFAULT_SERVICE_LEVEL),
+            Lead_Time_Std_Days: lead_time_std_days === null ? ''
+                : lead_time_std_days !== undefined ? Number(lead_time_std_days) : (current.Lead_Time_Std_Days || '')
+        };
+        const nextData = serviceLevelData.filter(item => item.SKU_No !== sku).concat(updated);
+        writeCsv(serviceLevelsPath, nextData, serviceLevelHeaders);
+        serviceLevelData = nextData;
+        const recalculated = refreshReorderPoints().find(item => item.SKU_No === sku);
+        res.json(recalculated || updated);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Inventory data endpoint
+app.get('/api/inventory/:dataset', (req, res) => {
+    const { dataset } = req.params;
+    const fileMap = {
+        'stock_levels': stockData,
+        'alerts': alertData,
+        'bom': bomData,
+        'mrp_plan': mrpData,
+        'production_orders': productionOrdersData,
+        'schedule': scheduleData,
+        'station_schedule': stationScheduleData
     };
     
-    if (!fileMap[period]) {
-        return res.status(400).json({ error: `Invalid period '${period}'` });
+    // Column from/to filter on, for the datasets that are dated
+    const dateFields = {
+        'mrp_plan': 'Date',
+        'production_orders': 'Date',
+        'schedule': 'Scheduled_Date',
+        'station_schedule': 'Scheduled_Date'
+    };
+    
+    if (!fileMap[dataset]) {
+        return res.status(400).json({ error: `Invalid dataset '${dataset}'` });
     }
     
-    res.json(fileMap[period]);
+    sendList(req, res, fileMap[dataset], { dateField: dateFields[dataset] });
+});
+
+// ─── MRP ENGINE ──────────────────────────────────────
+
+// Where the rows behind /api/inventory/mrp_plan came from
+let mrpSource = { source: 'file', file: 'total_mrp_plan_updated.csv' };
+
+// Helper function to format a date as DD-MM-YYYY (the MRP plan and station schedule format)
+const formatDayMonthYear = (date) => {
+    const [year, month, day] = date.toISOString().slice(0, 10).split('-');
+    return `${day}-${month}-${year}`;
+};
+
+// Explode the daily forecast through the BOM, net against stock and offset by lead time.
+// Requirements are consumed in date order per SKU; shortages become lot-for-lot planned
+// orders released Lead_Time_Days before they are needed.
+const runMrp = ({ startDate, endDate, productIds } = {}) => {
+    const stockBySku = {};
+    stockData.forEach(item => {
+        stockBySku[item.SKU_No] = {
+            onHand: parseInt(item.Stock_On_Hand || 0),
+            inTransit: parseInt(item.In_Transit || 0),
+            leadTime: parseInt(item.Lead_Time_Days || 0)
+        };
+    });
+    const bomByProduct = {};
+    bomData.forEach(item => {
+        (bomByProduct[item.PRODUCT_CARD_ID] = bomByProduct[item.PRODUCT_CARD_ID] || []).push(item);
+    });
+
+    const demand = forecastData
+        .filter(row => !productIds || productIds.includes(row.PRODUCT_CARD_ID))
+        .filter(row => (!startDate || row.Date >= startDate) && (!endDate || row.Date <= endDate))
+        .sort((a, b) => a.Date - b.Date || a.PRODUCT_CARD_ID.localeCompare(b.PRODUCT_CARD_ID));
+    const planStart = demand.length ? demand[0].Date : null;
+
+    const available = {};
+    const rows = [];
+    demand.forEach(row => {
+        const units = Math.round(row.Forecasted_Demand);
+        (bomByProduct[row.PRODUCT_CARD_ID] || []).forEach(component => {
+            const sku = component.SKU_No;
+            const stock = stockBySku[sku] || { onHand: 0, inTransit: 0, leadTime: 0 };
+            if (available[sku] === undefined) {
+                available[sku] = stock.onHand + stock.inTransit;
+            }
+            const required = units * parseFloat(component.Quantity || 0);
+            const netRequirement = Math.max(0, required - available[sku]);
+            const releaseDate = new Date(row.Date);
+            releaseDate.setUTCDate(releaseDate.getUTCDate() - stock.leadTime);
+
+            rows.push({
+                Date: formatDayMonthYear(row.Date),
+                Product_ID: row.PRODUCT_CARD_ID,
+                SKU_No: sku,
+                Required_Qty: required,
+                Available_Stock: available[sku],
+                Station: bomLineStation(component),
+                Status: netRequirement > 0 ? 'WAIT_FOR_PROCUREMENT' : 'READY',
+                Net_Requirement: netRequirement,
+                Planned_Order_Date: netRequirement > 0 ? formatDayMonthYear(releaseDate) : '',
+                Release_Overdue: netRequirement > 0 && releaseDate < planStart
+            });
+            available[sku] = Math.max(0, available[sku] - required);
+        });
+    });
+    return rows;
+};
+
+// Summarise an MRP run per SKU
+const summarizeMrp = (rows) => {
+    const skus = {};
+    rows.forEach(row => {
+        if (!skus[row.SKU_No]) {
+            skus[row.SKU_No] = {
+                SKU_No: row.SKU_No,
+                total_required: 0,
+                net_requirement: 0,
+                planned_orders: 0,
+                overdue_releases: 0,
+                first_shortage_date: null
+            };
+        }
+        const sku = skus[row.SKU_No];
+        sku.total_required += row.Required_Qty;
+        if (row.Net_Requirement > 0) {
+            sku.net_requirement += row.Net_Requirement;
+            sku.planned_orders += 1;
+            sku.overdue_releases += row.Release_Overdue ? 1 : 0;
+            sku.first_shortage_date = sku.first_shortage_date || row.Date;
+        }
+    });
+    return Object.values(skus).sort((a, b) => a.SKU_No.localeCompare(b.SKU_No));
+};
+
+// Run MRP on demand and replace the served MRP plan
+app.post('/api/mrp/run', (req, res) => {
+    if (!forecastData.length || !bomData.length) {
+        return res.status(500).json({ error: "Forecast or BOM data not loaded" });
+    }
+    const body = req.body || {};
+    const startDate = body.startDate ? parseQueryDate(body.startDate, false) : null;
+    const endDate = body.endDate ? parseQueryDate(body.endDate, true) : null;
+    if ((body.startDate && !startDate) || (body.endDate && !endDate)) {
+        return res.status(400).json({ error: 'startDate and endDate must be YYYY-MM-DD' });
+    }
+    try {
+        const rows = runMrp({
+            startDate: startDate,
+            endDate: endDate,
+            productIds: body.PRODUCT_CARD_ID ? queryValues(body.PRODUCT_CARD_ID) : null
+        });
+        mrpData = rows;
+        mrpSource = { source: 'generated', generated_at: new Date().toISOString(), forecast: forecastSource.source };
+
+        const waiting = rows.filter(row => row.Status !== 'READY').length;
+        res.json({
+            ...mrpSource,
+            rows: rows.length,
+            ready: rows.length - waiting,
+            wait_for_procurement: waiting,
+            skus: summarizeMrp(rows)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Describe where the current MRP plan came from
+app.get('/api/mrp/source', (req, res) => {
+    res.json(mrpSource);
+});
+
+// ─── PURCHASE ORDER APIs ─────────────────────────────
+
+const purchaseOrdersPath = statePath('purchase_orders.json');
+const DEFAULT_ORDERING_COST = 100;
+const DEFAULT_HOLDING_COST = 5;
+let purchaseOrdersData = [];
+
+// Allowed status transitions; receipts move sent orders to partially_received/received
+const purchaseOrderTransitions = {
+    draft: ['approved', 'cancelled'],
+    approved: ['sent', 'cancelled'],
+    sent: [],
+    partially_received: [],
+    received: [],
+    cancelled: []
+};
+const openPurchaseOrderStatuses = ['draft', 'approved', 'sent', 'partially_received'];
+
+const loadPurchaseOrderData = async () => {
+    purchaseOrdersData = readJson(purchaseOrdersPath, []);
+};
+
+const savePurchaseOrders = () => writeJson(purchaseOrdersPath, purchaseOrdersData);
+
+// Persist stock changes and refresh reorder points that depend on them
+const saveStockLevels = () => {
+    writeCsv(stockLevelsStatePath, stockData, stockLevelHeaders);
+    refreshReorderPoints();
+};
+
+// Candidate suppliers for a SKU from suppliers.csv (primary) and alternate_suppliers.csv
+const suppliersForSku = (sku) => {
+    const candidates = suppliersData
+        .filter(item => item.SKU_No === sku)
+        .map(item => ({
+            type: 'primary',
+            name: item.Supplier_Name,
+            email: item.Email,
+            lead_time_days: parseFloat(item.Lead_Time_Days || 0)
+        }));
+    alternateSuppliersData
+        .filter(item => item.SKU_ID === sku)
+        .forEach(item => candidates.push({
+            type: 'alternate',
+            name: item.Supplier_Name,
+            email: item.Email,
+            lead_time_days: parseFloat(item.Avg_Lead_Time_Days || 0)
+        }));
+    return candidates;
+};
+
+// Pick a supplier: 'primary' (default), 'alternate', 'fastest' or an exact supplier name
+const chooseSupplier = (sku, prefer = 'primary') => {
+    const candidates = suppliersForSku(sku);
+    if (prefer === 'fastest') {
+        return [...candidates].sort((a, b) => a.lead_time_days - b.lead_time_days)[0];
+    }
+    if (prefer === 'primary' || prefer === 'alternate') {
+        return candidates.find(item => item.type === prefer) || candidates[0];
+    }
+    return candidates.find(item => item.name.toLowerCase() === String(prefer).toLowerCase());
+};
+
+// Economic order quantity from annualised daily demand
+const economicOrderQuantity = (avgDailyDemand, orderingCost, holdingCost) =>
+    Math.ceil(Math.sqrt(2 * avgDailyDemand * 365 * orderingCost / holdingCost));
+
+const createPurchaseOrder = ({ sku, quantity, supplier, source, note }) => {
+    const now = new Date().toISOString();
+    const order = {
+        PO_Number: `PUR-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+        SKU_No: sku,
+        Quantity: quantity,
+        Received_Qty: 0,
+        Rejected_Qty: 0,
+        Supplier: supplier.name,
+        Supplier_Type: supplier.type,
+        Email: supplier.email,
+        Lead_Time_Days: supplier.lead_time_days,
+        Status: 'draft',
+        Source: source,
+        Created_At: now,
+        history: [{ status: 'draft', at: now, note: note || '' }],
+        receipts: []
+    };
+    purchaseOrdersData.push(order);
+    return order;
+};
+
+// Add or remove quantity on order from the SKU's In_Transit
+const adjustInTransit = (sku, delta) => {
+    const stock = stockData.find(item => item.SKU_No === sku);
+    if (stock) {
+        stock.In_Transit = Math.max(0, parseInt(stock.In_Transit || 0) + delta);
+    }
+    return stock;
+};
+
+// List purchase orders (optionally by status or SKU)
+app.get('/api/purchase_orders', (req, res) => {
+    const { status, SKU_No } = req.query;
+    let orders = purchaseOrdersData;
+    if (status) {
+        const statuses = queryValues(status);
+        orders = orders.filter(order => statuses.includes(order.Status));
+    }
+    if (SKU_No) {
+        orders = orders.filter(order => order.SKU_No === SKU_No);
+    }
+    res.json(orders);
+});
+
+// Suggest draft purchase orders for SKUs below their reorder point
+app.post('/api/purchase_orders/suggest', (req, res) => {
+    const body = req.body || {};
+    const orderingCost = body.ordering_cost === undefined ? DEFAULT_ORDERING_COST : Number(body.ordering_cost);
+    const holdingCost = body.holding_cost === undefined ? DEFAULT_HOLDING_COST : Number(body.holding_cost);
+    if (!(orderingCost > 0) || !(holdingCost > 0)) {
+        return res.status(400).json({ error: 'ordering_cost and holding_cost must be positive numbers' });
+    }
+    try {
+        const openSkus = new Set(purchaseOrdersData
+            .filter(order => openPurchaseOrderStatuses.includes(order.Status))
+            .map(order => order.SKU_No));
+        const created = [];
+        const skipped = [];
+
+        alertData
+            .filter(item => parseInt(item.Available || 0) < parseInt(item.Reorder_Point || 0))
+            .forEach(item => {
+                if (openSkus.has(item.SKU_No)) {
+                    return skipped.push({ SKU_No: item.SKU_No, reason: 'open purchase order exists' });
+                }
+                const supplier = chooseSupplier(item.SKU_No, body.prefer);
+                if (!supplier) {
+                    return skipped.push({ SKU_No: item.SKU_No, reason: 'no supplier found' });
+                }
+                const shortfall = parseInt(item.Reorder_Point) - parseInt(item.Available || 0);
+                const eoq = economicOrderQuantity(parseFloat(item.Avg_Daily_Demand || 0), orderingCost, holdingCost);
+                created.push(createPurchaseOrder({
+                    sku: item.SKU_No,
+                    quantity: Math.max(eoq, shortfall),
+                    supplier: supplier,
+                    source: 'reorder_point',
+                    note: `Available ${item.Available} below reorder point ${item.Reorder_Point}; EOQ ${eoq}`
+                }));
+            });
+
+        savePurchaseOrders();
+        res.status(201).json({ created: created, skipped: skipped });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Create a draft purchase order by hand
+app.post('/api/purchase_orders', (req, res) => {
+    const { SKU_No, quantity, supplier } = req.body || {};
+    if (!stockData.some(item => item.SKU_No === SKU_No)) {
+        return res.status(400).json({ error: `Unknown SKU '${SKU_No}'` });
+    }
+    if (!(Number.isInteger(Number(quantity)) && Number(quantity) > 0)) {
+        return res.status(400).json({ error: 'quantity must be a positive integer' });
+    }
+    const chosen = chooseSupplier(SKU_No, supplier);
+    if (!chosen) {
+        return res.status(400).json({ error: `Supplier '${supplier}' does not supply ${SKU_No}` });
+    }
+    try {
+        const order = createPurchaseOrder({ sku: SKU_No, quantity: Number(quantity), supplier: chosen, source: 'manual' });
+        savePurchaseOrders();
+        res.status(201).json(order);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/purchase_orders/:po_number', (req, res) => {
+    const order = purchaseOrdersData.find(item => item.PO_Number === req.params.po_number);
+    if (!order) {
+        return res.status(404).json({ error: `Purchase order ${req.params.po_number} not found` });
+    }
+    res.json(order);
+});
+
+// Move a purchase order to approved, sent or cancelled
+app.patch('/api/purchase_orders/:po_number/status', (req, res) => {
+    const order = purchaseOrdersData.find(item => item.PO_Number === req.params.po_number);
+    if (!order) {
+        return res.status(404).json({ error: `Purchase order ${req.params.po_number} not found` });
+    }
+    const { status, note } = req.body || {};
+    if (!purchaseOrderTransitions[order.Status].includes(status)) {
+        return res.status(409).json({ error: `Cannot move purchase order from '${order.Status}' to '${status}'` });
+    }
+    try {
+        order.Status = status;
+        order.history.push({ status: status, at: new Date().toISOString(), note: note || '' });
+        if (status === 'sent') {
+            adjustInTransit(order.SKU_No, order.Quantity);
+            saveStockLevels();
+        }
+        savePurchaseOrders();
+        res.json(order);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Record a (partial) receipt: { quantity, rejected_qty?, received_at? }. The whole quantity leaves
+// In_Transit; only the accepted part is added to Stock_On_Hand.
+app.post('/api/purchase_orders/:po_number/receipts', (req, res) => {
+    const order = purchaseOrdersData.find(item => item.PO_Number === req.params.po_number);
+    if (!order) {
+        return res.status(404).json({ error: `Purchase order ${req.params.po_number} not found` });
+    }
+    if (!['sent', 'partially_received'].includes(order.Status)) {
+        return res.status(409).json({ error: `Cannot receive against a '${order.Status}' purchase order` });
+    }
+    const quantity = Number((req.body || {}).quantity);
+    const outstanding = order.Quantity - order.Received_Qty;
+    if (!(Number.isInteger(quantity) && quantity > 0 && quantity <= outstanding)) {
+        return res.status(400).json({ error: `quantity must be an integer between 1 and ${outstanding}` });
+    }
+    const now = new Date().toISOString();
+    const receivedAt = (req.body || {}).received_at || now;
+    if (isNaN(new Date(receivedAt))) {
+        return res.status(400).json({ error: 'received_at must be a date' });
+    }
+    const sent = order.history.find(entry => entry.status === 'sent');
+    if (!sent) {
+        return res.status(409).json({ error: `Purchase order ${order.PO_Number} has no 'sent' entry in its history` });
+    }
+
+    // Every receipt is also a supplier delivery, promised Lead_Time_Days after the PO was sent.
+    // The ordered quantity goes on the first delivery only, so partial receipts add up to the order.
+    const delivery = parseDeliveryBody({
+        supplier: order.Supplier,
+        sku: order.SKU_No,
+        po_number: order.PO_Number,
+        ordered_date: sent.at.slice(0, 10),
+        promised_date: addDaysToKey(sent.at.slice(0, 10), Math.ceil(order.Lead_Time_Days || 0)),
+        received_date: toDayKey(new Date(receivedAt)),
+        quantity: quantity,
+        ordered_qty: order.receipts.length ? 0 : order.Quantity,
+        rejected_qty: (req.body || {}).rejected_qty
+    });
+    if (delivery.error) {
+        return res.status(400).json({ error: delivery.error });
+    }
+    try {
+        const rejected = delivery.values.Rejected_Qty;
+        order.Received_Qty += quantity;
+        order.Rejected_Qty = (order.Rejected_Qty || 0) + rejected;
+        order.receipts.push({ quantity: quantity, rejected_qty: rejected, received_at: receivedAt });
+        order.Status = order.Received_Qty === order.Quantity ? 'received' : 'partially_received';
+        order.history.push({ status: order.Status, at: now, note: `Received ${quantity}${rejected ? `, rejected ${rejected}` : ''}` });
+
+        // Rejected units go back to the supplier rather than into stock
+        const stock = adjustInTransit(order.SKU_No, -quantity);
+        if (stock) {
+            stock.Stock_On_Hand = parseInt(stock.Stock_On_Hand || 0) + quantity - rejected;
+        }
+        recordSupplierDelivery(delivery.values);
+        saveStockLevels();
+        savePurchaseOrders();
+        res.json(order);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ─── PRODUCTION ORDER APIs ───────────────────────────
+
+const managedProductionOrdersPath = statePath('production_orders.json');
+let managedProductionOrders = [];
+
+const productionOrderTransitions = {
+    planned: ['released', 'cancelled'],
+    released: ['cancelled'],
+    in_progress: [],
+    completed: [],
+    cancelled: []
+};
+const openProductionOrderStatuses = ['planned', 'released', 'in_progress'];
+
+const loadProductionOrderData = async () => {
+    managedProductionOrders = readJson(managedProductionOrdersPath, []);
+};
+
+// Mirror managed orders into the schedule (inventory KPIs) and production_orders datasets
+const syncProductionOrderViews = () => {
+    const managedIds = new Set(managedProductionOrders.map(order => order.PO_Number));
+    scheduleData = scheduleData
+        .filter(row => !managedIds.has(row.PO_Number))
+        .concat(managedProductionOrders
+            .filter(order => order.Status !== 'cancelled')
+            .map(order => ({
+                PRODUCT_CARD_ID: order.PRODUCT_CARD_ID,
+                PRODUCT_NAME: order.PRODUCT_NAME,
+                Scheduled_Date: formatDayMonthYear(new Date(order.Date)),
+                Scheduled_Quantity: Math.max(0, order.Quantity - order.Completed_Qty - order.Scrap_Qty),
+                Status: order.Status,
+                PO_Number: order.PO_Number
+            })));
+    productionOrdersData = productionOrdersData
+        .filter(row => !managedIds.has(row.PO_Number))
+        .concat(managedProductionOrders
+            .filter(order => !['planned', 'cancelled'].includes(order.Status))
+            .flatMap(order => order.lines.map(line => ({
+                PO_Number: order.PO_Number,
+                Date: order.Date,
+                SKU_No: line.SKU_No,
+                Qty: line.Qty,
+                Station: line.Station
+            }))));
+};
+
+const saveProductionOrders = () => {
+    writeJson(managedProductionOrdersPath, managedProductionOrders);
+    syncProductionOrderViews();
+    publishKpis(['inventory']);
+};
+
+// Component lines for `quantity` units of a product, straight from the BOM
+const productionOrderLines = (productId, quantity) => bomData
+    .filter(item => item.PRODUCT_CARD_ID === productId)
+    .map(item => ({
+        SKU_No: item.SKU_No,
+        SKU_Name: item.SKU_Name,
+        Qty_Per_Unit: parseFloat(item.Quantity || 0),
+        Qty: parseFloat(item.Quantity || 0) * quantity,
+        Station: bomLineStation(item),
+        Consumed_Qty: 0
+    }));
+
+// Validate production order fields and return { values } or { error }
+const parseProductionOrderBody = (body, current = {}) => {
+    const productId = body.PRODUCT_CARD_ID !== undefined ? body.PRODUCT_CARD_ID : current.PRODUCT_CARD_ID;
+    const date = body.date !== undefined ? body.date : current.Date;
+    const quantity = body.quantity !== undefined ? Number(body.quantity) : current.Quantity;
+
+    if (!bomData.some(item => item.PRODUCT_CARD_ID === productId)) {
+        return { error: `No BOM found for product '${productId}'` };
+    }
+    if (!parseQueryDate(date, false)) {
+        return { error: 'date must be YYYY-MM-DD' };
+    }
+    if (!(Number.isInteger(quantity) && quantity > 0)) {
+        return { error: 'quantity must be a positive integer' };
+    }
+    const product = forecastData.find(row => row.PRODUCT_CARD_ID === productId);
+    return {
+        values: {
+            PRODUCT_CARD_ID: productId,
+            PRODUCT_NAME: body.PRODUCT_NAME || (product && product.PRODUCT_NAME) || current.PRODUCT_NAME || '',
+            Date: date,
+            Quantity: quantity
+        }
+    };
+};
+
+const findProductionOrder = (poNumber) =>
+    managedProductionOrders.find(order => order.PO_Number === poNumber);
+
+// List managed production orders
+app.get('/api/production_orders', (req, res) => {
+    const { status, date, PRODUCT_CARD_ID } = req.query;
+    let orders = managedProductionOrders;
+    if (status) {
+        const statuses = queryValues(status);
+        orders = orders.filter(order => statuses.includes(order.Status));
+    }
+    if (date) {
+        orders = orders.filter(order => order.Date === date);
+    }
+    if (PRODUCT_CARD_ID) {
+        orders = orders.filter(order => order.PRODUCT_CARD_ID === PRODUCT_CARD_ID);
+    }
+    res.json(orders);
+});
+
+// Create a production order; component lines come from the BOM
+app.post('/api/production_orders', (req, res) => {
+    const { values, error } = parseProductionOrderBody(req.body || {});
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+    try {
+        const now = new Date().toISOString();
+        const order = {
+            PO_Number: `PO-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+            ...values,
+            Completed_Qty: 0,
+            Scrap_Qty: 0,
+            Status: 'planned',
+            Created_At: now,
+            lines: productionOrderLines(values.PRODUCT_CARD_ID, values.Quantity),
+            history: [{ status: 'planned', at: now, note: '' }],
+            completions: []
+        };
+        managedProductionOrders.push(order);
+        saveProductionOrders();
+        publishProductionOrderStatus(order, null);
+        res.status(201).json(order);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/production_orders/:po_number', (req, res) => {
+    const order = findProductionOrder(req.params.po_number);
+    if (!order) {
+        return res.status(404).json({ error: `Production order ${req.params.po_number} not found` });
+    }
+    res.json(order);
+});
+
+// Update product, date or quantity while the order is still planned
+app.patch('/api/production_orders/:po_number', (req, res) => {
+    const order = findProductionOrder(req.params.po_number);
+    if (!order) {
+        return res.status(404).json({ error: `Production order ${req.params.po_number} not found` });
+    }
+    if (order.Status !== 'planned') {
+        return res.status(409).json({ error: `Cannot edit a '${order.Status}' production order` });
+    }
+    const { values, error } = parseProductionOrderBody(req.body || {}, order);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+    try {
+        Object.assign(order, values);
+        order.lines = productionOrderLines(order.PRODUCT_CARD_ID, order.Quantity);
+        order.history.push({ status: order.Status, at: new Date().toISOString(), note: 'updated' });
+        saveProductionOrders();
+        res.json(order);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Release a planned order to the stations, or cancel it
+app.patch('/api/production_orders/:po_number/status', (req, res) => {
+    const order = findProductionOrder(req.params.po_number);
+    if (!order) {
+        return res.status(404).json({ error: `Production order ${req.params.po_number} not found` });
+    }
+    const { status, note } = req.body || {};
+    if (!productionOrderTransitions[order.Status].includes(status)) {
+        return res.status(409).json({ error: `Cannot move production order from '${order.Status}' to '${status}'` });
+    }
+    try {
+        const previousStatus = order.Status;
+        order.Status = status;
+        order.history.push({ status: status, at: new Date().toISOString(), note: note || '' });
+        saveProductionOrders();
+        publishProductionOrderStatus(order, previousStatus);
+        res.json(order);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Record completed and scrapped units; consumes component stock for both.
+// Short component stock is a 409 unless allow_shortage: true, which consumes down to 0.
+app.post('/api/production_orders/:po_number/completions', (req, res) => {
+    const order = findProductionOrder(req.params.po_number);
+    if (!order) {
+        return res.status(404).json({ error: `Production order ${req.params.po_number} not found` });
+    }
+    if (!['released', 'in_progress'].includes(order.Status)) {
+        return res.status(409).json({ error: `Cannot record completions on a '${order.Status}' production order` });
+    }
+    const body = req.body || {};
+    const completed = Number(body.completed_qty || 0);
+    const scrap = Number(body.scrap_qty || 0);
+    const outstanding = order.Quantity - order.Completed_Qty - order.Scrap_Qty;
+    if (!Number.isInteger(completed) || !Number.isInteger(scrap) || completed < 0 || scrap < 0 ||
+        completed + scrap === 0 || completed + scrap > outstanding) {
+        return res.status(400).json({ error: `completed_qty + scrap_qty must be between 1 and ${outstanding}` });
+    }
+    const shortages = order.lines
+        .map(line => {
+            const stock = stockData.find(item => item.SKU_No === line.SKU_No);
+            return {
+                SKU_No: line.SKU_No,
+                required: line.Qty_Per_Unit * (completed + scrap),
+                on_hand: stock ? parseInt(stock.Stock_On_Hand || 0) : 0
+            };
+        })
+        .filter(item => item.required > item.on_hand);
+    if (shortages.length && body.allow_shortage !== true) {
+        return res.status(409).json({
+            error: `Not enough stock for ${shortages.map(item => item.SKU_No).join(', ')}; send allow_shortage: true to record anyway`,
+            stock_shortages: shortages
+        });
+    }
+    try {
+        const now = new Date().toISOString();
+        order.lines.forEach(line => {
+            const consumed = line.Qty_Per_Unit * (completed + scrap);
+            const stock = stockData.find(item => item.SKU_No === line.SKU_No);
+            if (stock) {
+                stock.Stock_On_Hand = Math.max(0, parseInt(stock.Stock_On_Hand || 0) - consumed);
+            }
+            line.Consumed_Qty += consumed;
+        });
+
+        order.Completed_Qty += completed;
+        order.Scrap_Qty += scrap;
+        order.completions.push({ completed_qty: completed, scrap_qty: scrap, station: body.station || '', at: now });
+        const previousStatus = order.Status;
+        order.Status = order.Completed_Qty + order.Scrap_Qty === order.Quantity ? 'completed' : 'in_progress';
+        order.history.push({ status: order.Status, at: now, note: `Completed ${completed}, scrap ${scrap}` });
+
+        saveStockLevels();
+        saveProductionOrders();
+        if (order.Status !== previousStatus) {
+            publishProductionOrderStatus(order, previousStatus);
+        }
+        res.json({ ...order, stock_shortages: shortages });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ─── PROCUREMENT APIs ────────────────────────────────
+
+// Load procurement data
+let procurementData = [];
+
+const loadProcurementData = () => {
+    return new Promise((resolve, reject) => {
+        const procurementPath = dataFilePath('smart_procurement_insights_dec2017.csv');
+        const data = [];
+        fs.createReadStream(procurementPath)
+            .pipe(csv(csvOptions()))
+            .on('data', (row) => {
+                data.push(row);
+            })
+            .on('end', () => {
+                procurementData = data;
+                console.log('Procurement data successfully loaded.');
+                resolve();
+            })
+            .on('error', reject);
+    });
+};
+
+// All procurement insights endpoint (?format=structured parses Procurement_Insight)
+app.get('/api/procurement/insights', (req, res) => {
+    const format = parseInsightFormat(req.query.format);
+    if (!format) {
+        return res.status(400).json({ error: 'format must be text or structured' });
+    }
+    sendList(req, res, formatInsightRows(procurementData, 'Procurement_Insight', format), { reserved: ['format'] });
+});
+
+// Procurement insight by SKU endpoint
+app.get('/api/procurement/insight/:sku_id', (req, res) => {
+    const { sku_id } = req.params;
+    const format = parseInsightFormat(req.query.format);
+    if (!format) {
+        return res.status(400).json({ error: 'format must be text or structured' });
+    }
+    const match = procurementData.filter(item => item.SKU_ID === sku_id);
+    if (match.length === 0) {
+        return res.status(404).json({ message: `No insight found for SKU ${sku_id}` });
+    }
+    res.json(formatInsightRows(match, 'Procurement_Insight', format));
+});
+
+// ─── OPERATOR, SCHEDULE & SUPPLIER SERVICES ──────────
+
+// Load operator data
+let attendanceData = [];
+let leaveRequestsData = [];
+let operatorInsightsData = [];
+let operatorStationMapData = [];
+
+// Extra station skills per operator on top of operator_station_map.csv's single Station_ID
+const operatorSkillsPath = statePath('operator_skills.csv');
+const operatorSkillHeaders = ['Operator_ID', 'Station_ID', 'Skill_Level'];
+let operatorSkillsData = [];
+
+// Leave requests seed from one file per calendar month (leave_requests_january.csv, ...).
+// Changes are saved per year and month to Data/state/leave_requests_2018-01.csv, which
+// replaces the seed rows of that month.
+const leaveSeedPattern = /^leave_requests_([a-z]+)\.csv$/;
+const leaveStatePattern = /^leave_requests_(\d{4}-\d{2})\.csv$/;
+const leaveRequestHeaders = ['Leave_ID', 'Operator_ID', 'From_Date', 'To_Date', 'Reason', 'Status',
+    'Submitted_At', 'Decided_At', 'Decision_Note'];
+const leaveStatuses = ['Pending', 'Approved', 'Rejected'];
+
+const leaveFileForDate = (date) => statePath(`leave_requests_${date.slice(0, 7)}.csv`);
+
+// Rows from the original files have no Leave_ID or Status; they were taken, so count as Approved
+const loadLeaveRequests = async () => {
+    const stateFiles = fs.existsSync(stateDir) ? fs.readdirSync(stateDir).filter(file => leaveStatePattern.test(file)) : [];
+    const savedMonths = new Set(stateFiles.map(file => leaveStatePattern.exec(file)[1]));
+    const seedFiles = fs.readdirSync(path.join(__dirname, 'Data')).filter(file => leaveSeedPattern.test(file));
+    const seedRows = (await Promise.all(seedFiles.map(file => readCsv(path.join(__dirname, 'Data', file)))))
+        .flat()
+        .filter(row => !savedMonths.has(String(row.From_Date).slice(0, 7)));
+    const stateRows = (await Promise.all(stateFiles.map(file => readCsv(statePath(file))))).flat();
+    leaveRequestsData = seedRows.concat(stateRows).map(row => ({
+        ...row,
+        Leave_ID: row.Leave_ID || `LV-${row.Operator_ID}-${row.From_Date}`,
+        Status: row.Status || 'Approved'
+    }));
+};
+
+// Rewrite the year-month file a leave request belongs to
+const saveLeaveMonth = (date) => {
+    const month = date.slice(0, 7);
+    const rows = leaveRequestsData.filter(item => item.From_Date.slice(0, 7) === month);
+    writeCsv(leaveFileForDate(date), rows, leaveRequestHeaders);
+};
+
+// attendance_log.csv has a stray quote in its header (Shift") that makes csv-parser
+// read the rest of the file as one quoted field, so drop quotes from the header line
+const sanitizeAttendanceCsv = (text) => text.replace(/^[^\r\n]*/, header => header.replace(/"/g, ''));
+
+const loadOperatorData = () => {
+    return Promise.all([
+        readCsv(dataFilePath('operator_station_map.csv')).then(data => {
+            operatorStationMapData = data;
+        }),
+        readCsv(operatorSkillsPath, { optional: true }).then(data => {
+            operatorSkillsData = data;
+        }),
+        new Promise((resolve, reject) => {
+            const attendancePath = dataFilePath('attendance_log.csv');
+            const data = [];
+            const text = sanitizeAttendanceCsv(fs.readFileSync(attendancePath, 'utf8'));
+            Readable.from([text])
+                .pipe(csv(csvOptions()))
+                .on('data', (row) => {
+                    data.push(row);
+                })
+                .on('end', () => {
+                    attendanceData = data;
+                    resolve();
+                })
+                .on('error', reject);
+        }),
+        loadLeaveRequests(),
+        new Promise((resolve, reject) => {
+            const insightsPath = dataFilePath('groq_operator_jan_feb_insights.csv');
+            const data = [];
+            fs.createReadStream(insightsPath)
+                .pipe(csv(csvOptions()))
+                .on('data', (row) => {
+                    data.push(row);
+                })
+                .on('end', () => {
+                    operatorInsightsData = data;
+                    resolve();
+                })
+                .on('error', reject);
+        })
+    ]);
+};
+
+// Helper function to compute the production KPI cards
+const productionKpis = () => {
+    const totalOperators = new Set(attendanceData.map(item => item.Operator_ID)).size;
+    const today = '2018-01-01';
+    const absentToday = attendanceData.filter(item => 
+        item.Date === today && item.Present === 'No'
+    ).length;
+    const totalUnitsScheduled = stationScheduleData.filter(item => 
+        item.Scheduled_Date === '01-01-2018'
+    ).reduce((sum, item) => sum + parseInt(item.Unit || 0), 0);
+    const uniqueProducts = new Set(stationScheduleData.map(item => item.Product_Name)).size;
+
+    return {
+        total_operators: totalOperators,
+        absent_today: absentToday,
+        total_units_scheduled: totalUnitsScheduled,
+        unique_products: uniqueProducts
+    };
+};
+
+// Production KPIs endpoint
+app.get('/api/kpis', (req, res) => {
+    try {
+        res.json(productionKpis());
+    } catch (error) {
+        res.status(500).json({ error: `KPI error: ${error.message}` });
+    }
+});
+
+// Schedule table endpoint
+app.get('/api/schedule', (req, res) => {
+    if (!stationScheduleData.length) {
+        return res.status(500).json({ error: "Schedule file not found or corrupted" });
+    }
+    
+    const formattedData = stationScheduleData.map(item => ({
+        Start_Time: item.Time,
+        Station_Name: item.Station,
+        Operator_Name: item.Operator,
+        Model: item.Product_Model,
+        Product: item.Product_Name,
+        Date: item.Scheduled_Date,
+        PO: item.PO_Number,
+        Units: item.Unit
+    }));
+    
+    sendReport(req, res, formattedData);
+});
+
+// Station chart data endpoint
+app.get('/api/schedule/chart', (req, res) => {
+    if (!stationScheduleData.length) {
+        return res.status(500).json({ error: "Chart data failed" });
+    }
+    
+    const stationTotals = {};
+    stationScheduleData.forEach(item => {
+        const station = item.Station;
+        const units = parseInt(item.Unit || 0);
+        stationTotals[station] = (stationTotals[station] || 0) + units;
+    });
+    
+    const chartData = Object.entries(stationTotals).map(([station, total]) => ({
+        station: station,
+        Total_Units: total
+    }));
+    
+    sendReport(req, res, chartData);
+});
+
+// Operator workload endpoint
+app.get('/api/schedule/operator_workload', (req, res) => {
+    if (!stationScheduleData.length) {
+        return res.status(500).json({ error: "Workload data failed" });
+    }
+    
+    const operatorTotals = {};
+    stationScheduleData.forEach(item => {
+        const operator = item.Operator;
+        const units = parseInt(item.Unit || 0);
+        operatorTotals[operator] = (operatorTotals[operator] || 0) + units;
+    });
+    
+    const workloadData = Object.entries(operatorTotals).map(([operator, total]) => ({
+        operator: operator,
+        Total_Units: total
+    }));
+    
+    sendReport(req, res, workloadData);
+});
+
+// ─── STATION SCHEDULER ───────────────────────────────
+
+const DEFAULT_STATION_CAPACITY = 12; // units per hour: the 5-minute slots of the original schedule
+const DEFAULT_SHIFT_START = '09:00';
+const DEFAULT_SHIFT_HOURS = 8;
+const skillRank = { High: 3, Medium: 2, Low: 1 };
+
+// Generated schedules are saved to the state copy, which the loader prefers over the seed file
+const saveStationSchedule = () => writeCsv(stationScheduleStatePath, stationScheduleData, stationScheduleHeaders);
+
+const operatorFirstName = (name) => (name || '').split(' ')[0];
+
+const minutesToTime = (minutes) =>
+    `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Minutes since midnight for an HH:mm time, or null when it is not a valid time of day
+const timeToMinutes = (time) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+    if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+        return null;
+    }
+    return parseInt(match[1]) * 60 + parseInt(match[2]);
+};
+
+// Stations in routing order, joined from bom_data.csv (routing Station + Operator first name)
+// and operator_station_map.csv to get each station's Station_ID and home operator
+const stationCatalog = () => {
+    const stations = new Map();
+    bomData.forEach(item => {
+        const station = item.Station;
+        if (!stations.has(station)) {
+            const home = operatorStationMapData.find(op => operatorFirstName(op.Operator_Name) === item.Operator);
+            stations.set(station, {
+                Station: station,
+                Station_ID: home ? home.Station_ID : null,
+                Home_Operator_ID: home ? home.Operator_ID : null
+            });
+        }
+    });
+    return [...stations.values()].sort((a, b) => a.Station.localeCompare(b.Station, undefined, { numeric: true }));
+};
+
+// Stations each product visits, in routing order
+const productRoute = (productId) => {
+    const stations = new Set(bomData
+        .filter(item => item.PRODUCT_CARD_ID === productId)
+        .map(item => item.Station));
+    return stationCatalog().filter(station => stations.has(station.Station));
+};
+
+// Which stations each operator can run: [{ Operator_ID, Station_ID, Skill_Level }].
+// Home stations come from operator_station_map.csv; operator_skills.csv adds (or re-rates) others.
+const operatorStationSkills = () => {
+    const skills = new Map();
+    operatorStationMapData.concat(operatorSkillsData).forEach(item => {
+        skills.set(`${item.Operator_ID}|${item.Station_ID}`, {
+            Operator_ID: item.Operator_ID,
+            Station_ID: item.Station_ID,
+            Skill_Level: item.Skill_Level
+        });
+    });
+    return [...skills.values()];
+};
+
+// Leave rows that keep an operator off the floor
+const blockingLeaves = () => leaveRequestsData.filter(item => item.Status === 'Approved');
+
+// Operators absent on a date (YYYY-MM-DD) from attendance_log.csv and leave requests
+const absentOperators = (date) => {
+    const absent = new Map();
+    attendanceData
+        .filter(item => item.Date === date && item.Present === 'No')
+        .forEach(item => absent.set(item.Operator_ID, 'marked absent'));
+    blockingLeaves()
+        .filter(item => item.From_Date <= date && date <= item.To_Date)
+        .forEach(item => absent.set(item.Operator_ID, `on leave (${item.Reason})`));
+    return absent;
+};
+
+// Staff every station for the day: home operator first, then the most skilled free operator.
+// Each operator is given at most one station, so nobody is double-booked.
+const assignOperators = (date) => {
+    const absent = absentOperators(date);
+    const skills = operatorStationSkills();
+    const assigned = new Set();
+    const operatorsById = new Map(operatorStationMapData.map(item => [item.Operator_ID, item]));
+
+    return stationCatalog().map(station => {
+        const candidates = skills
+            .filter(skill => skill.Station_ID === station.Station_ID)
+            .filter(skill => !absent.has(skill.Operator_ID) && !assigned.has(skill.Operator_ID))
+            .sort((a, b) => (b.Operator_ID === station.Home_Operator_ID) - (a.Operator_ID === station.Home_Operator_ID) ||
+                (skillRank[b.Skill_Level] || 0) - (skillRank[a.Skill_Level] || 0));
+        const chosen = candidates[0];
+        if (chosen) {
+            assigned.add(chosen.Operator_ID);
+        }
+        return {
+            ...station,
+            Operator_ID: chosen ? chosen.Operator_ID : null,
+            Operator: chosen ? operatorFirstName((operatorsById.get(chosen.Operator_ID) || {}).Operator_Name) : null,
+            Home_Operator_Absent: station.Home_Operator_ID ? absent.get(station.Home_Operator_ID) || null : null
+        };
+    });
+};
+
+// Overlapping slots on the same station or for the same operator
+const findDoubleBookings = (rows, slotMinutesFor) => {
+    const conflicts = [];
+    ['Station', 'Operator'].forEach(key => {
+        const byResource = {};
+        rows.forEach(row => {
+            (byResource[`${row.Scheduled_Date}|${row[key]}`] = byResource[`${row.Scheduled_Date}|${row[key]}`] || []).push(row);
+        });
+        Object.values(byResource).forEach(resourceRows => {
+            const sorted = [...resourceRows].sort((a, b) => timeToMinutes(a.Time) - timeToMinutes(b.Time));
+            for (let i = 1; i < sorted.length; i++) {
+                const previousEnd = timeToMinutes(sorted[i - 1].Time) + slotMinutesFor(sorted[i - 1].Station);
+                if (timeToMinutes(sorted[i].Time) < previousEnd) {
+                    conflicts.push({
+                        type: key === 'Station' ? 'station_double_booked' : 'operator_double_booked',
+                        [key]: sorted[i][key],
+                        date: sorted[i].Scheduled_Date,
+                        time: sorted[i].Time,
+                        rows: [sorted[i - 1], sorted[i]]
+                    });
+                }
+            }
+        });
+    });
+    return conflicts;
+};
+
+// Build a flow-shop schedule for one date: every unit of each open production order passes
+// its stations in routing order, one unit per station slot, within the shift.
+const buildStationSchedule = ({ date, shiftStart, shiftHours, capacity }) => {
+    const dayMonthYear = formatDayMonthYear(new Date(date));
+    const slotMinutesFor = (station) => Math.max(1, Math.round(60 / (capacity[station] || capacity.default)));
+    const shiftEnd = shiftStart + shiftHours * 60;
+    const assignments = assignOperators(date);
+    const staffed = new Map(assignments.filter(station => station.Operator).map(station => [station.Station, station]));
+    const conflicts = assignments
+        .filter(station => !station.Operator)
+        .map(station => ({
+            type: 'station_unstaffed',
+            Station: station.Station,
+            date: date,
+            reason: station.Home_Operator_Absent
+                ? `home operator ${station.Home_Operator_ID} ${station.Home_Operator_Absent}; no qualified substitute`
+                : 'no qualified operator available'
+        }));
+
+    const orders = managedProductionOrders
+        .filter(order => ['released', 'in_progress'].includes(order.Status) && order.Date <= date)
+        .sort((a, b) => a.Date.localeCompare(b.Date) || a.Created_At.localeCompare(b.Created_At));
+    const stationFree = {};
+    const rows = [];
+    const unscheduled = [];
+    let unitNumber = 0;
+
+    // Units of each order already on the schedule for earlier and later days
+    const scheduledElsewhere = {};
+    const isoDate = comparableValue(dayMonthYear);
+    new Set(stationScheduleData
+        .filter(row => row.PO_Number && row.Scheduled_Date !== dayMonthYear)
+        .map(row => `${row.PO_Number}|${row.Scheduled_Date}|${row.Unit}`))
+        .forEach(key => {
+            const [poNumber, scheduledDate] = key.split('|');
+            const counts = scheduledElsewhere[poNumber] = scheduledElsewhere[poNumber] || { before: 0, after: 0 };
+            counts[comparableValue(scheduledDate) < isoDate ? 'before' : 'after']++;
+        });
+
+    orders.forEach(order => {
+        // Completions can only come from units scheduled on earlier days, so take whichever is larger
+        const elsewhere = scheduledElsewhere[order.PO_Number] || { before: 0, after: 0 };
+        const remaining = Math.max(0, order.Quantity - Math.max(order.Completed_Qty + order.Scrap_Qty, elsewhere.before) - elsewhere.after);
+        if (!remaining) {
+            return;
+        }
+        const route = productRoute(order.PRODUCT_CARD_ID);
+        const missing = route.filter(station => !staffed.has(station.Station));
+        if (missing.length) {
+            return unscheduled.push({
+                PO_Number: order.PO_Number,
+                quantity: remaining,
+                reason: `unstaffed station(s): ${missing.map(station => station.Station).join(', ')}`
+            });
+        }
+
+        let scheduledUnits = 0;
+        for (let unit = 0; unit < remaining; unit++) {
+            let ready = shiftStart;
+            const unitRows = route.map(station => {
+                const start = Math.max(ready, stationFree[station.Station] || shiftStart);
+                ready = start + slotMinutesFor(station.Station);
+                return { station: station.Station, start: start, end: ready };
+            });
+            if (ready > shiftEnd) {
+                break;
+            }
+            unitNumber += 1;
+            scheduledUnits += 1;
+            unitRows.forEach(slot => {
+                stationFree[slot.station] = slot.end;
+                rows.push({
+                    Time: minutesToTime(slot.start),
+                    Station: slot.station,
+                    Operator: staffed.get(slot.station).Operator,
+                    Product_Model: order.PRODUCT_CARD_ID,
+                    Product_Name: order.PRODUCT_NAME,
+                    Scheduled_Date: dayMonthYear,
+                    PO_Number: order.PO_Number,
+                    Unit: unitNumber
+                });
+            });
+        }
+        if (scheduledUnits < remaining) {
+            unscheduled.push({
+                PO_Number: order.PO_Number,
+                quantity: remaining - scheduledUnits,
+                reason: 'exceeds shift capacity'
+            });
+        }
+    });
+
+    rows.sort((a, b) => timeToMinutes(a.Time) - timeToMinutes(b.Time) || a.Station.localeCompare(b.Station));
+    return {
+        rows: rows,
+        assignments: assignments,
+        unscheduled: unscheduled,
+        conflicts: conflicts.concat(findDoubleBookings(rows, slotMinutesFor))
+    };
+};
+
+// Generate (and persist) the station schedule for a date from open production orders
+app.post('/api/schedule/generate', (req, res) => {
+    const body = req.body || {};
+    const shiftStart = timeToMinutes(body.shift_start || DEFAULT_SHIFT_START);
+    const shiftHours = body.shift_hours === undefined ? DEFAULT_SHIFT_HOURS : Number(body.shift_hours);
+    const capacity = typeof body.capacity === 'object' && body.capacity !== null
+        ? { default: DEFAULT_STATION_CAPACITY, ...body.capacity }
+        : { default: body.capacity === undefined ? DEFAULT_STATION_CAPACITY : Number(body.capacity) };
+
+    if (!parseQueryDate(body.date, false)) {
+        return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+    if (shiftStart === null) {
+        return res.status(400).json({ error: 'shift_start must be a time of day (HH:mm, 00:00 to 23:59)' });
+    }
+    if (!(shiftHours > 0 && shiftStart + shiftHours * 60 <= 24 * 60)) {
+        return res.status(400).json({ error: 'shift_start (HH:mm) and shift_hours must fit within one day' });
+    }
+    if (Object.values(capacity).some(value => !(Number(value) > 0))) {
+        return res.status(400).json({ error: 'capacity must be a positive number of units per hour' });
+    }
+
+    try {
+        const result = buildStationSchedule({ date: body.date, shiftStart: shiftStart, shiftHours: shiftHours, capacity: capacity });
+        const dayMonthYear = formatDayMonthYear(new Date(body.date));
+        stationScheduleData = stationScheduleData
+            .filter(row => row.Scheduled_Date !== dayMonthYear)
+            .concat(result.rows);
+        saveStationSchedule();
+        publishKpis(['production']);
+
+        res.json({
+            date: body.date,
+            scheduled_units: new Set(result.rows.map(row => row.Unit)).size,
+            slots: result.rows.length,
+            assignments: result.assignments,
+            conflicts: result.conflicts,
+            unscheduled: result.unscheduled,
+            schedule: result.rows
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Double bookings in the current station schedule
+app.get('/api/schedule/conflicts', (req, res) => {
+    const slotMinutes = Math.round(60 / DEFAULT_STATION_CAPACITY);
+    res.json(findDoubleBookings(stationScheduleData, () => slotMinutes));
+});
+
+// Attendance table endpoint
+app.get('/api/attendance', (req, res) => {
+    const formattedData = attendanceData.map(item => ({
+        date: item.Date,
+        operator_id: item.Operator_ID,
+        operator_name: item.Operator_Name,
+        present: item.Present,
+        shift: item.Shift || 'Day'
+    })).sort((a, b) => new Date(a.date) - new Date(b.date));
+    
+    sendList(req, res, formattedData, { dateField: 'date' });
+});
+
+app.get('/api/attendance/table', (req, res) => {
+    const formattedData = attendanceData.map(item => ({
+        date: item.Date,
+        operator_id: item.Operator_ID,
+        operator_name: item.Operator_Name,
+        present: item.Present,
+        shift: item.Shift || 'Day'
+    })).sort((a, b) => new Date(a.date) - new Date(b.date));
+    
+    sendList(req, res, formattedData, { dateField: 'date' });
+});
+
+// ─── ATTENDANCE ANALYTICS ────────────────────────────
+
+const dayOfWeekNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Helper function to get the Monday (YYYY-MM-DD) of the week a day key falls in
+const weekStartKey = (dayKey) => addDaysToKey(dayKey, -((new Date(dayKey).getUTCDay() + 6) % 7));
+
+// Middleware: attendance rows narrowed by from/to (YYYY-MM-DD), operator_id and shift, each
+// tagged as planned (covered by an approved leave) or unplanned when the operator was absent
+const attendanceFilter = (req, res, next) => {
+    const { from, to } = req.query;
+    if ((from && !parseQueryDate(from, false)) || (to && !parseQueryDate(to, false))) {
+        return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+    }
+    const operatorIds = req.query.operator_id ? queryValues(req.query.operator_id) : [];
+    const shifts = req.query.shift ? queryValues(req.query.shift) : [];
+    const leaves = blockingLeaves();
+
+    req.attendanceRecords = attendanceData
+        .filter(item => (!from || item.Date >= from) && (!to || item.Date <= to))
+        .filter(item => !operatorIds.length || operatorIds.includes(item.Operator_ID))
+        .filter(item => !shifts.length || shifts.includes(item.Shift || 'Day'))
+        .map(item => {
+            const absent = item.Present === 'No';
+            const leave = absent && leaves.find(leave => leave.Operator_ID === item.Operator_ID &&
+                leave.From_Date <= item.Date && item.Date <= leave.To_Date);
+            return {
+                date: item.Date,
+                operator_id: item.Operator_ID,
+                operator_name: item.Operator_Name,
+                shift: item.Shift || 'Day',
+                absent: absent,
+                absence_type: absent ? (leave ? 'planned' : 'unplanned') : null,
+                leave_reason: leave ? leave.Reason : null
+            };
+        })
+        .sort((a, b) => a.date.localeCompare(b.date) || a.operator_id.localeCompare(b.operator_id));
+    next();
+};
+
+// Helper function to summarise a group of attendance records
+const absenteeismStats = (records) => {
+    const absences = records.filter(item => item.absent);
+    return {
+        recorded_days: records.length,
+        absent_days: absences.length,
+        planned_absences: absences.filter(item => item.absence_type === 'planned').length,
+        unplanned_absences: absences.filter(item => item.absence_type === 'unplanned').length,
+        absenteeism_rate: records.length ? round2(absences.length / records.length * 100) : 0
+    };
+};
+
+// Helper function to group attendance records by a key and summarise each group
+const groupAttendance = (records, keyFn) => {
+    const groups = {};
+    records.forEach(item => {
+        const key = keyFn(item);
+        groups[key] = groups[key] || [];
+        groups[key].push(item);
+    });
+    return Object.keys(groups).sort().map(key => ({ key: key, records: groups[key] }));
+};
+
+const attendanceGroupings = {
+    operator: item => item.operator_id,
+    shift: item => item.shift,
+    week: item => weekStartKey(item.date)
+};
+
+// Absenteeism rate split into planned and unplanned absence, grouped by operator, shift or week
+app.get('/api/attendance/absenteeism', attendanceFilter, (req, res) => {
+    const groupBy = req.query.group_by || 'operator';
+    if (!Object.hasOwn(attendanceGroupings, groupBy)) {
+        return res.status(400).json({ error: `group_by must be one of ${Object.keys(attendanceGroupings).join(', ')}` });
+    }
+    const operatorNames = new Map(req.attendanceRecords.map(item => [item.operator_id, item.operator_name]));
+    const groups = groupAttendance(req.attendanceRecords, attendanceGroupings[groupBy]).map(group => ({
+        [groupBy]: group.key,
+        ...(groupBy === 'operator' && { operator_name: operatorNames.get(group.key) }),
+        ...absenteeismStats(group.records)
+    }));
+
+    sendReport(req, res, groups, {
+        group_by: groupBy,
+        overall: absenteeismStats(req.attendanceRecords),
+        groups: groups
+    });
+});
+
+// Absence rate by day of week, Monday first
+app.get('/api/attendance/day-of-week', attendanceFilter, (req, res) => {
+    const groups = groupAttendance(req.attendanceRecords, item => (new Date(item.date).getUTCDay() + 6) % 7);
+    sendReport(req, res, groups.map(group => ({
+        day_of_week: dayOfWeekNames[(Number(group.key) + 1) % 7],
+        ...absenteeismStats(group.records)
+    })));
+});
+
+// Runs of consecutive recorded absences per operator, longest first
+app.get('/api/attendance/streaks', attendanceFilter, (req, res) => {
+    const minLength = parseLimit(req.query.min_length) || 1;
+    const streaks = [];
+
+    groupAttendance(req.attendanceRecords, item => item.operator_id).forEach(group => {
+        let current = null;
+        group.records.forEach(item => {
+            if (item.absent) {
+                current = current || { operator_id: item.operator_id, operator_name: item.operator_name, start_date: item.date, end_date: item.date, days: 0, planned_days: 0 };
+                current.end_date = item.date;
+                current.days++;
+                current.planned_days += item.absence_type === 'planned' ? 1 : 0;
+            } else if (current) {
+                streaks.push(current);
+                current = null;
+            }
+        });
+        if (current) {
+            streaks.push({ ...current, ongoing: true });
+        }
+    });
+
+    sendReport(req, res, streaks
+        .filter(streak => streak.days >= minLength)
+        .map(streak => ({ ongoing: false, ...streak }))
+        .sort((a, b) => b.days - a.days || a.start_date.localeCompare(b.start_date)));
+});
+
+// Scheduled units lost to absence: units the station schedule routed through an absent
+// operator that day. Absences on days with no station schedule have units_lost: null (no data)
+// and are left out of the totals, which count them separately as unscheduled_absences.
+app.get('/api/attendance/capacity-lost', attendanceFilter, (req, res) => {
+    const operators = new Map(operatorStationMapData.map(item => [item.Operator_ID, item]));
+
+    const rows = req.attendanceRecords.filter(item => item.absent).map(item => {
+        const operator = operators.get(item.operator_id) || { Operator_Name: item.operator_name };
+        const scheduleDate = formatDayMonthYear(new Date(item.date));
+        const daySchedule = stationScheduleData.filter(row => row.Scheduled_Date === scheduleDate);
+        const lostUnits = new Set(daySchedule
+            .filter(row => row.Operator === operatorFirstName(operator.Operator_Name))
+            .map(row => row.Unit)).size;
+        return {
+            date: item.date,
+            operator_id: item.operator_id,
+            operator_name: item.operator_name,
+            station_id: operator.Station_ID || null,
+            absence_type: item.absence_type,
+            units_lost: daySchedule.length ? lostUnits : null
+        };
+    });
+
+    sendReport(req, res, rows, {
+        unscheduled_absences: rows.filter(row => row.units_lost === null).length,
+        total_units_lost: rows.reduce((sum, row) => sum + (row.units_lost || 0), 0),
+        planned_units_lost: rows.filter(row => row.absence_type === 'planned').reduce((sum, row) => sum + (row.units_lost || 0), 0),
+        unplanned_units_lost: rows.filter(row => row.absence_type === 'unplanned').reduce((sum, row) => sum + (row.units_lost || 0), 0),
+        by_week: groupAttendance(rows, row => weekStartKey(row.date)).map(group => ({
+            week: group.key,
+            units_lost: group.records.some(row => row.units_lost !== null)
+                ? group.records.reduce((sum, row) => sum + (row.units_lost || 0), 0)
+                : null
+        })),
+        absences: rows
+    });
+});
+
+// Helper function to format leave rows for the dashboard
+const formatLeave = (item) => {
+    const operator = operatorStationMapData.find(op => op.Operator_ID === item.Operator_ID) || {};
+    return {
+        leave_id: item.Leave_ID,
+        from_date: item.From_Date,
+        to_date: item.To_Date,
+        operator_id: item.Operator_ID,
+        operator_name: operator.Operator_Name || '',
+        reason: item.Reason,
+        status: item.Status,
+        submitted_at: item.Submitted_At || null,
+        decided_at: item.Decided_At || null,
+        decision_note: item.Decision_Note || ''
+    };
+};
+
+// Scheduled station slots for an operator between two YYYY-MM-DD dates
+const leaveScheduleConflicts = (leave) => {
+    const operator = operatorStationMapData.find(op => op.Operator_ID === leave.Operator_ID);
+    if (!operator) {
+        return [];
+    }
+    const firstName = operatorFirstName(operator.Operator_Name);
+    return stationScheduleData
+        .filter(row => row.Operator === firstName)
+        .filter(row => {
+            const [day, month, year] = row.Scheduled_Date.split('-');
+            const date = `${year}-${month}-${day}`;
+            return leave.From_Date <= date && date <= leave.To_Date;
+        })
+        .map(row => ({
+            date: row.Scheduled_Date,
+            time: row.Time,
+            station: row.Station,
+            po_number: row.PO_Number,
+            unit: row.Unit
+        }));
+};
+
+// Leave requests endpoint (optionally by status, operator or month YYYY-MM)
+app.get('/api/leaves', (req, res) => {
+    const { status, operator_id, month } = req.query;
+    const formattedData = leaveRequestsData
+        .filter(item => !status || item.Status.toLowerCase() === String(status).toLowerCase())
+        .filter(item => !operator_id || item.Operator_ID === operator_id)
+        .filter(item => !month || item.From_Date.slice(0, 7) <= month && month <= item.To_Date.slice(0, 7))
+        .sort((a, b) => a.From_Date.localeCompare(b.From_Date))
+        .map(formatLeave);
+
+    res.json(formattedData);
+});
+
+// Submit a leave request (starts Pending)
+app.post('/api/leaves', (req, res) => {
+    const { operator_id, from_date, to_date, reason } = req.body || {};
+    if (!operatorStationMapData.some(op => op.Operator_ID === operator_id)) {
+        return res.status(400).json({ error: `Unknown operator '${operator_id}'` });
+    }
+    if (!parseQueryDate(from_date, false) || !parseQueryDate(to_date, false) || from_date > to_date) {
+        return res.status(400).json({ error: 'from_date and to_date must be YYYY-MM-DD with from_date <= to_date' });
+    }
+    if (!reason) {
+        return res.status(400).json({ error: 'reason is required' });
+    }
+    const overlapping = leaveRequestsData.find(item => item.Operator_ID === operator_id &&
+        item.Status !== 'Rejected' && item.From_Date <= to_date && from_date <= item.To_Date);
+    if (overlapping) {
+        return res.status(409).json({ error: `Overlaps leave ${overlapping.Leave_ID} (${overlapping.Status})` });
+    }
+    try {
+        const leave = {
+            Leave_ID: `LV-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+            Operator_ID: operator_id,
+            From_Date: from_date,
+            To_Date: to_date,
+            Reason: reason,
+            Status: 'Pending',
+            Submitted_At: new Date().toISOString(),
+            Decided_At: '',
+            Decision_Note: ''
+        };
+        leaveRequestsData.push(leave);
+        saveLeaveMonth(leave.From_Date);
+        res.status(201).json({ ...formatLeave(leave), schedule_conflicts: leaveScheduleConflicts(leave) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Station slots a leave request would leave uncovered
+app.get('/api/leaves/:leave_id/conflicts', (req, res) => {
+    const leave = leaveRequestsData.find(item => item.Leave_ID === req.params.leave_id);
+    if (!leave) {
+        return res.status(404).json({ error: `Leave request ${req.params.leave_id} not found` });
+    }
+    res.json(leaveScheduleConflicts(leave));
+});
+
+// Approve or reject a leave request; approval is refused while it overlaps scheduled
+// station slots unless { force: true } is sent
+app.patch('/api/leaves/:leave_id', (req, res) => {
+    const leave = leaveRequestsData.find(item => item.Leave_ID === req.params.leave_id);
+    if (!leave) {
+        return res.status(404).json({ error: `Leave request ${req.params.leave_id} not found` });
+    }
+    const { status, note, force } = req.body || {};
+    if (!['Approved', 'Rejected'].includes(status)) {
+        return res.status(400).json({ error: `status must be one of ${leaveStatuses.slice(1).join(', ')}` });
+    }
+    if (leave.Status !== 'Pending') {
+        return res.status(409).json({ error: `Leave request is already ${leave.Status}` });
+    }
+    const conflicts = status === 'Approved' ? leaveScheduleConflicts(leave) : [];
+    if (conflicts.length && !force) {
+        return res.status(409).json({
+            error: `Operator ${leave.Operator_ID} has ${conflicts.length} scheduled station slot(s) during this leave`,
+            schedule_conflicts: conflicts
+        });
+    }
+    try {
+        leave.Status = status;
+        leave.Decided_At = new Date().toISOString();
+        leave.Decision_Note = note || '';
+        saveLeaveMonth(leave.From_Date);
+        res.json({ ...formatLeave(leave), schedule_conflicts: conflicts });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Helper function to shape operator insight rows for the dashboard
+const formatOperatorInsight = (item) => ({
+    operator_id: item.Operator_ID,
+    ai_insight: item.AI_Insight
+});
+
+// Insight by operator endpoint
+app.get('/api/insights1/:operator_id', (req, res) => {
+    const { operator_id } = req.params;
+    const filtered = operatorInsightsData.filter(item => item.Operator_ID === operator_id);
+    if (filtered.length === 0) {
+        return res.json({ message: `No insights found for ${operator_id}` });
+    }
+    res.json({ insights1: filtered.map(formatOperatorInsight) });
+});
+
+// Operator dropdown endpoint
+app.get('/api/operators/dropdown', (req, res) => {
+    const operators = [...new Set(operatorInsightsData
+        .filter(item => item.Operator_ID)
+        .map(item => item.Operator_ID)
+    )].sort();
+    res.json({ operators: operators });
+});
+
+// ─── OPERATOR SKILLS & SUBSTITUTIONS ─────────────────
+
+// Skill matrix: every station each operator can run
+app.get('/api/operators/skills', (req, res) => {
+    const { operator_id } = req.query;
+    const homeStations = new Map(operatorStationMapData.map(item => [item.Operator_ID, item.Station_ID]));
+    res.json(operatorStationSkills()
+        .filter(skill => !operator_id || skill.Operator_ID === operator_id)
+        .map(skill => ({ ...skill, Home_Station: homeStations.get(skill.Operator_ID) === skill.Station_ID }))
+        .sort((a, b) => a.Operator_ID.localeCompare(b.Operator_ID) || a.Station_ID.localeCompare(b.Station_ID)));
+});
+
+// Replace an operator's additional station skills: { skills: [{ station_id, skill_level }] }
+app.put('/api/operators/:operator_id/skills', (req, res) => {
+    const { operator_id } = req.params;
+    const skills = (req.body || {}).skills;
+    const stationIds = new Set(operatorStationMapData.map(item => item.Station_ID));
+
+    if (!operatorStationMapData.some(item => item.Operator_ID === operator_id)) {
+        return res.status(404).json({ error: `Operator ${operator_id} not found` });
+    }
+    if (!Array.isArray(skills)) {
+        return res.status(400).json({ error: 'skills must be an array of { station_id, skill_level }' });
+    }
+    const invalid = skills.find(skill => !stationIds.has(skill.station_id) || !skillRank[skill.skill_level]);
+    if (invalid) {
+        return res.status(400).json({
+            error: `Invalid skill ${JSON.stringify(invalid)}; station_id must be one of ${[...stationIds].join(', ')} and skill_level one of ${Object.keys(skillRank).join(', ')}`
+        });
+    }
+    try {
+        const nextData = operatorSkillsData
+            .filter(item => item.Operator_ID !== operator_id)
+            .concat(skills.map(skill => ({
+                Operator_ID: operator_id,
+                Station_ID: skill.station_id,
+                Skill_Level: skill.skill_level
+            })));
+        writeCsv(operatorSkillsPath, nextData, operatorSkillHeaders);
+        operatorSkillsData = nextData;
+        res.json(operatorStationSkills().filter(skill => skill.Operator_ID === operator_id));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// For each station slot whose operator is absent on a date, rank available substitutes by
+// double-booking risk, skill level and the workload they already carry that day
+app.get('/api/operators/substitutes', (req, res) => {
+    const { date } = req.query;
+    if (!parseQueryDate(date, false)) {
+        return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+    try {
+        const absent = absentOperators(date);
+        const operatorsByName = new Map(operatorStationMapData.map(item => [operatorFirstName(item.Operator_Name), item]));
+        const daySlots = stationScheduleData.filter(row => row.Scheduled_Date === formatDayMonthYear(new Date(date)));
+        const catalog = stationCatalog();
+        const skills = operatorStationSkills();
+
+        // Uncovered slots: scheduled rows of absent operators, or whole stations whose home
+        // operator is absent when nothing is scheduled for the date yet
+        const uncovered = {};
+        if (daySlots.length) {
+            daySlots.forEach(row => {
+                const operator = operatorsByName.get(row.Operator);
+                if (operator && absent.has(operator.Operator_ID)) {
+                    const station = catalog.find(item => item.Station === row.Station) || {};
+                    const key = `${row.Station}|${operator.Operator_ID}`;
+                    uncovered[key] = uncovered[key] || { station: row.Station, station_id: station.Station_ID, operator: operator, slots: [] };
+                    uncovered[key].slots.push(row.Time);
+                }
+            });
+        } else {
+            catalog.filter(station => absent.has(station.Home_Operator_ID)).forEach(station => {
+                const operator = operatorStationMapData.find(item => item.Operator_ID === station.Home_Operator_ID);
+                uncovered[station.Station] = { station: station.Station, station_id: station.Station_ID, operator: operator, slots: [] };
+            });
+        }
+
+        const result = Object.values(uncovered).map(gap => {
+            const substitutes = skills
+                .filter(skill => skill.Station_ID === gap.station_id && !absent.has(skill.Operator_ID))
+                .filter(skill => skill.Operator_ID !== gap.operator.Operator_ID)
+                .map(skill => {
+                    const candidate = operatorStationMapData.find(item => item.Operator_ID === skill.Operator_ID) || {};
+                    const ownSlots = daySlots.filter(row => row.Operator === operatorFirstName(candidate.Operator_Name));
+                    const clashes = ownSlots.filter(row => gap.slots.includes(row.Time)).length;
+                    return {
+                        operator_id: skill.Operator_ID,
+                        operator_name: candidate.Operator_Name,
+                        skill_level: skill.Skill_Level,
+                        scheduled_slots: ownSlots.length,
+                        clashing_slots: clashes
+                    };
+                })
+                .sort((a, b) => a.clashing_slots - b.clashing_slots ||
+                    (skillRank[b.skill_level] || 0) - (skillRank[a.skill_level] || 0) ||
+                    a.scheduled_slots - b.scheduled_slots);
+            return {
+                date: date,
+                station: gap.station,
+                station_id: gap.station_id,
+                absent_operator_id: gap.operator.Operator_ID,
+                absent_operator_name: gap.operator.Operator_Name,
+                reason: absent.get(gap.operator.Operator_ID),
+                uncovered_slots: gap.slots,
+                substitutes: substitutes
+            };
+        });
+
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ─── SUPPLIER PERFORMANCE APIs ───────────────────────
+
+// Load supplier data
+let suppliersData = [];
+let alternateSuppliersData = [];
+let supplierInsightsData = [];
+
+// Weights for the composite supplier score; Data/state/supplier_score_weights.json overrides these
+const supplierScoreWeightsPath = statePath('supplier_score_weights.json');
+const defaultSupplierScoreWeights = { otd: 0.3, quality: 0.25, fulfillment: 0.2, lead_time: 0.15, late_per_order: 0.1 };
+let supplierScoreWeights = { ...defaultSupplierScoreWeights };
+
+// Individual supplier deliveries; supplier KPIs are derived from these when there are any
+const supplierDeliveriesPath = statePath('supplier_deliveries.json');
+let supplierDeliveriesData = [];
+
+const loadSupplierData = () => {
+    return Promise.all([
+        Promise.resolve().then(() => {
+            supplierScoreWeights = { ...defaultSupplierScoreWeights, ...readJson(supplierScoreWeightsPath, {}) };
+            supplierDeliveriesData = readJson(supplierDeliveriesPath, []);
+        }),
+        new Promise((resolve, reject) => {
+            const suppliersPath = dataFilePath('suppliers.csv');
+            const data = [];
+            fs.createReadStream(suppliersPath)
+                .pipe(csv(csvOptions()))
+                .on('data', (row) => {
+                    data.push(row);
+                })
+                .on('end', () => {
+                    suppliersData = data;
+                    resolve();
+                })
+                .on('error', reject);
+        }),
+        new Promise((resolve, reject) => {
+            const altPath = dataFilePath('alternate_suppliers.csv');
+            const data = [];
+            fs.createReadStream(altPath)
+                .pipe(csv(csvOptions()))
+                .on('data', (row) => {
+                    data.push(row);
+                })
+                .on('end', () => {
+                    alternateSuppliersData = data;
+                    resolve();
+                })
+                .on('error', reject);
+        }),
+        new Promise((resolve, reject) => {
+            const insightsPath = dataFilePath('ai_supplier_insight_output.csv');
+            const data = [];
+            fs.createReadStream(insightsPath)
+                .pipe(csv(csvOptions()))
+                .on('data', (row) => {
+                    data.push(row);
+                })
+                .on('end', () => {
+                    supplierInsightsData = data;
+                    resolve();
+                })
+                .on('error', reject);
+        })
+    ]);
+};
+
+// ─── SUPPLIER SCORECARD ──────────────────────────────
+
+// Helper function to read a percentage as 0-100 whether written '96.50%', '96.5' or '0.965'
+const parsePercent = (value) => {
+    const number = parseFloat(String(value === undefined ? '' : value).replace('%', ''));
+    if (isNaN(number)) {
+        return null;
+    }
+    return number <= 1 && !String(value).includes('%') ? number * 100 : number;
+};
+
+// Helper function to read a quality score as 0-100; suppliers.csv rates out of 10
+const parseQualityScore = (value) => {
+    const number = parseFloat(value);
+    if (isNaN(number)) {
+        return null;
+    }
+    return number <= 10 ? number * 10 : number;
+};
+
+// Primary and alternate suppliers on one scale, one row per supplier per SKU
+const supplierScoreInputs = () => suppliersData
+    .filter(item => item.SKU_No && item.Supplier_Name)
+    .map(item => ({
+        sku: item.SKU_No,
+        supplier_name: item.Supplier_Name,
+        supplier_id: null,
+        type: 'primary',
+        otd_percent: parsePercent(item.OTD_Percentage),
+        quality_score: parseQualityScore(item.Quality_Score),
+        fulfillment_percent: parsePercent(item.Fulfillment_Rate),
+        lead_time_days: parseFloat(item.Lead_Time_Days),
+        late_per_order: item.Avg_Late_Per_Order === undefined || item.Avg_Late_Per_Order === ''
+            ? null
+            : parseFloat(item.Avg_Late_Per_Order)
+    }))
+    .concat(alternateSuppliersData
+        .filter(item => item.SKU_ID && item.Supplier_Name)
+        .map(item => ({
+            sku: item.SKU_ID,
+            supplier_name: item.Supplier_Name,
+            supplier_id: item.Supplier_ID,
+            type: 'alternate',
+            otd_percent: parsePercent(item.OTD_Percentage),
+            quality_score: parseQualityScore(item.Quality_Score),
+            fulfillment_percent: parsePercent(item.Fulfillment_Rate),
+            lead_time_days: parseFloat(item.Avg_Lead_Time_Days),
+            late_per_order: null
+        })));
+
+// Parse 'otd:0.4,quality:0.3' into weights layered over the configured ones, or { error }
+const parseScoreWeights = (value, base = supplierScoreWeights) => {
+    const weights = { ...base };
+    const entries = typeof value === 'object' && value !== null
+        ? Object.entries(value)
+        : value ? queryValues(value).map(item => item.split(':')) : [];
+    for (const [metric, weight] of entries) {
+        const number = Number(weight);
+        if (!(metric in defaultSupplierScoreWeights)) {
+            return { error: `Unknown weight '${metric}'; expected one of ${Object.keys(defaultSupplierScoreWeights).join(', ')}` };
+        }
+        if (!isFinite(number) || number < 0) {
+            return { error: `Weight '${metric}' must be a non-negative number` };
+        }
+        weights[metric] = number;
+    }
+    if (!Object.values(weights).some(weight => weight > 0)) {
+        return { error: 'At least one weight must be positive' };
+    }
+    return { weights };
+};
+
+// Score every supplier 0-100 per metric and combine with the weights. Percentages are used
+// as-is; lead time and late-per-order are scaled min-max across all suppliers (lower is better).
+// Metrics a supplier has no data for are left out and the remaining weights re-normalised.
+const scoreSuppliers = (weights) => {
+    const inputs = supplierScoreInputs();
+    const inverseScale = (field) => {
+        const values = inputs.map(item => item[field]).filter(value => value !== null && !isNaN(value));
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        return (value) => value === null || isNaN(value) ? null : max === min ? 100 : (max - value) / (max - min) * 100;
+    };
+    const leadTimeScore = inverseScale('lead_time_days');
+    const latenessScore = inverseScale('late_per_order');
+
+    return inputs.map(item => {
+        const scores = {
+            otd: item.otd_percent,
+            quality: item.quality_score,
+            fulfillment: item.fulfillment_percent,
+            lead_time: leadTimeScore(item.lead_time_days),
+            late_per_order: latenessScore(item.late_per_order)
+        };
+        const scored = Object.keys(scores).filter(metric => scores[metric] !== null && weights[metric] > 0);
+        const totalWeight = scored.reduce((sum, metric) => sum + weights[metric], 0);
+        const score = totalWeight
+            ? scored.reduce((sum, metric) => sum + scores[metric] * weights[metric], 0) / totalWeight
+            : null;
+        Object.keys(scores).forEach(metric => {
+            scores[metric] = scores[metric] === null ? null : round2(scores[metric]);
+        });
+        return { ...item, scores: scores, score: score === null ? null : round2(score) };
+    });
+};
+
+// Rank rows by score, best first
+const rankSuppliers = (rows) => rows
+    .sort((a, b) => (b.score === null ? -1 : b.score) - (a.score === null ? -1 : a.score))
+    .map((row, index) => ({ rank: index + 1, ...row }));
+
+// Composite scorecard for every supplier: ?sku=&type=primary|alternate&weights=otd:0.4,...
+app.get('/api/suppliers/scorecard', (req, res) => {
+    const { weights, error } = parseScoreWeights(req.query.weights);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+    const skus = req.query.sku ? queryValues(req.query.sku) : [];
+    const rows = scoreSuppliers(weights)
+        .filter(row => !skus.length || skus.includes(row.sku))
+        .filter(row => !req.query.type || row.type === req.query.type);
+    const ranked = rankSuppliers(rows);
+    sendReport(req, res, ranked, { weights: weights, suppliers: ranked });
+});
+
+app.get('/api/suppliers/scorecard/weights', (req, res) => {
+    res.json(supplierScoreWeights);
+});
+
+// Update the stored weights; omitted metrics keep their current weight
+app.put('/api/suppliers/scorecard/weights', (req, res) => {
+    const { weights, error } = parseScoreWeights(req.body || {});
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+    try {
+        writeJson(supplierScoreWeightsPath, weights);
+        supplierScoreWeights = weights;
+        res.json(supplierScoreWeights);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Primary supplier ranked against every alternate for one SKU
+app.get('/api/suppliers/ranking/:sku', (req, res) => {
+    const { sku } = req.params;
+    const { weights, error } = parseScoreWeights(req.query.weights);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+    const ranking = rankSuppliers(scoreSuppliers(weights)
+        .filter(row => row.sku.toLowerCase() === sku.toLowerCase()));
+    if (!ranking.length) {
+        return res.status(404).json({ error: `No suppliers found for SKU ${sku}` });
+    }
+    const primary = ranking.find(row => row.type === 'primary') || null;
+    sendReport(req, res, ranking, {
+        sku: ranking[0].sku,
+        weights: weights,
+        best_supplier: ranking[0].supplier_name,
+        primary_rank: primary ? primary.rank : null,
+        primary_is_best: primary ? primary.rank === 1 : false,
+        score_gap_to_best: primary && primary.score !== null ? round2(ranking[0].score - primary.score) : null,
+        ranking: ranking
+    });
+});
+
+// ─── SUPPLIER DELIVERY LOG ───────────────────────────
+
+const saveSupplierDeliveries = () => writeJson(supplierDeliveriesPath, supplierDeliveriesData);
+
+// Helper function to whole days between two YYYY-MM-DD keys
+const daysBetweenKeys = (from, to) => Math.round((new Date(to) - new Date(from)) / 86400000);
+
+const supplierDeliveries = (supplierName) => supplierDeliveriesData
+    .filter(item => item.Supplier_Name.toLowerCase() === supplierName.toLowerCase());
+
+const deliveryBuckets = {
+    week: dayKey => weekStartKey(dayKey),
+    month: dayKey => dayKey.slice(0, 7)
+};
+
+// Validate ?as_of=YYYY-MM-DD&window_days=N into { window } or { error }
+const parseDeliveryWindow = (query) => {
+    const asOf = query.as_of || toDayKey(new Date());
+    const windowDays = query.window_days === undefined ? 90 : Number(query.window_days);
+    if (!parseQueryDate(asOf, false)) {
+        return { error: 'as_of must be YYYY-MM-DD' };
+    }
+    if (!(Number.isInteger(windowDays) && windowDays > 0)) {
+        return { error: 'window_days must be a positive integer' };
+    }
+    return { window: { as_of: asOf, window_days: windowDays } };
+};
+
+const inDeliveryWindow = (item, window) =>
+    item.Received_Date <= window.as_of && item.Received_Date > addDaysToKey(window.as_of, -window.window_days);
+
+// OTD, quality (0-10, accepted share of received units) and fulfillment from delivery rows
+const deliveryStats = (rows) => {
+    const late = rows.filter(item => item.Received_Date > item.Promised_Date);
+    const received = rows.reduce((sum, item) => sum + item.Quantity, 0);
+    const rejected = rows.reduce((sum, item) => sum + item.Rejected_Qty, 0);
+    const ordered = rows.reduce((sum, item) => sum + item.Ordered_Qty, 0);
+    const leadTimes = rows.filter(item => item.Ordered_Date).map(item => daysBetweenKeys(item.Ordered_Date, item.Received_Date));
+    return {
+        total: rows.length,
+        on_time: rows.length - late.length,
+        late: late.length,
+        otd_percent: rows.length ? round2((rows.length - late.length) / rows.length * 100) : null,
+        quality_score: received ? round2((received - rejected) / received * 10) : null,
+        fulfillment_percent: ordered ? round2(Math.min(received, ordered) / ordered * 100) : null,
+        avg_days_late: late.length
+            ? round2(late.reduce((sum, item) => sum + daysBetweenKeys(item.Promised_Date, item.Received_Date), 0) / late.length)
+            : 0,
+        lead_time_days: leadTimes.length ? round2(leadTimes.reduce((sum, days) => sum + days, 0) / leadTimes.length) : null
+    };
+};
+
+// Validate a delivery body into { values } or { error }
+const parseDeliveryBody = (body) => {
+    const supplier = suppliersForSku(body.sku).find(item => item.name.toLowerCase() === String(body.supplier || '').toLowerCase());
+    const quantity = Number(body.quantity);
+    const orderedQty = body.ordered_qty === undefined ? quantity : Number(body.ordered_qty);
+    const rejectedQty = body.rejected_qty === undefined ? 0 : Number(body.rejected_qty);
+
+    if (!supplier) {
+        return { error: `${body.supplier} does not supply SKU ${body.sku}` };
+    }
+    if (!parseQueryDate(body.promised_date, false) || !parseQueryDate(body.received_date, false) ||
+        (body.ordered_date && !parseQueryDate(body.ordered_date, false))) {
+        return { error: 'promised_date, received_date and ordered_date must be YYYY-MM-DD' };
+    }
+    if (!(Number.isInteger(quantity) && quantity > 0)) {
+        return { error: 'quantity must be a positive integer' };
+    }
+    // Follow-up deliveries against the same PO carry ordered_qty 0 so the order is only counted once
+    if (!(Number.isInteger(orderedQty) && orderedQty >= 0)) {
+        return { error: 'ordered_qty must be a non-negative integer' };
+    }
+    if (!(Number.isInteger(rejectedQty) && rejectedQty >= 0 && rejectedQty <= quantity)) {
+        return { error: `rejected_qty must be an integer between 0 and ${quantity}` };
+    }
+    return {
+        values: {
+            Supplier_Name: supplier.name,
+            SKU_No: body.sku,
+            PO_Number: body.po_number || null,
+            Ordered_Date: body.ordered_date || null,
+            Promised_Date: body.promised_date,
+            Received_Date: body.received_date,
+            Ordered_Qty: orderedQty,
+            Quantity: quantity,
+            Rejected_Qty: rejectedQty
+        }
+    };
+};
+
+// Append a validated delivery to the log
+const recordSupplierDelivery = (values) => {
+    const delivery = {
+        Delivery_ID: `DLV-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+        ...values,
+        Recorded_At: new Date().toISOString()
+    };
+    supplierDeliveriesData.push(delivery);
+    saveSupplierDeliveries();
+    return delivery;
+};
+
+// List logged deliveries (?supplier=&sku=&from=&to= on Received_Date)
+app.get('/api/suppliers/deliveries', (req, res) => {
+    const { supplier, sku, from, to } = req.query;
+    res.json(supplierDeliveriesData
+        .filter(item => !supplier || item.Supplier_Name.toLowerCase() === supplier.toLowerCase())
+        .filter(item => !sku || item.SKU_No === sku)
+        .filter(item => (!from || item.Received_Date >= from) && (!to || item.Received_Date <= to))
+        .sort((a, b) => a.Received_Date.localeCompare(b.Received_Date)));
+});
+
+// Record a delivery: { supplier, sku, promised_date, received_date, quantity, ordered_qty?, rejected_qty?, ordered_date?, po_number? }
+app.post('/api/suppliers/deliveries', (req, res) => {
+    const { values, error } = parseDeliveryBody(req.body || {});
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+    try {
+        res.status(201).json(recordSupplierDelivery(values));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// List suppliers endpoint
+app.get('/api/suppliers/list', (req, res) => {
+    const suppliers = [...new Set(suppliersData
+        .filter(item => item.Supplier_Name)
+        .map(item => item.Supplier_Name)
+    )].sort();
+    res.json(suppliers);
+});
+
+// Alternate suppliers endpoint
+app.get('/api/suppliers/alternates/:supplier', (req, res) => {
+    const { supplier } = req.params;
+    const mainSupplier = suppliersData.find(item => 
+        item.Supplier_Name.toLowerCase() === supplier.toLowerCase()
+    );
+    
+    if (!mainSupplier) {
+        return res.status(404).json({ error: `${supplier} not found` });
+    }
+    
+    // alternate_suppliers.csv headers are SKU_ID and Supplier_Name, same casing as the CSV
+    const skus = mainSupplier.SKU_No;
+    const filtered = alternateSuppliersData.filter(item => item.SKU_ID === skus);
+    
+    const result = filtered.map(item => ({
+        sku_id: item.SKU_ID,
+        supplier_name: item.Supplier_Name,
+        otd_percentage: item.OTD_Percentage,
+        quality_score: item.Quality_Score,
+        email: item.Email,
+        location: item.Location
+    })).filter(item => item.sku_id && item.supplier_name);
+    
+    res.json(result);
+});
+
+// Supplier insight endpoint - handle both SKU and supplier name (?format=structured parses the insight)
+app.get('/api/suppliers/insight/:identifier', (req, res) => {
+    const { identifier } = req.params;
+    const format = parseInsightFormat(req.query.format);
+    if (!format) {
+        return res.status(400).json({ error: 'format must be text or structured' });
+    }
+    const insightText = (item) => format === 'structured'
+        ? parseInsightText(item.AI_Supplier_Insight)
+        : item.AI_Supplier_Insight;
+    
+    // First try to find by supplier name
+    const supplierMatch = suppliersData.find(item => 
+        item.Supplier_Name.toLowerCase() === identifier.toLowerCase()
+    );
+    
+    if (supplierMatch) {
+        // If found by supplier name, look for insights by SKU
+        const skuInsights = supplierInsightsData.filter(item => 
+            item.SKU_ID.toLowerCase() === supplierMatch.SKU_No.toLowerCase()
+        );
+        
+        if (skuInsights.length > 0) {
+            return res.json({
+                sku_id: supplierMatch.SKU_No,
+                supplier_name: supplierMatch.Supplier_Name,
+                insight: insightText(skuInsights[0])
+            });
+        }
+    }
+    
+    // If not found by supplier name, try direct SKU lookup
+    const skuMatch = supplierInsightsData.filter(item => 
+        item.SKU_ID.toLowerCase() === identifier.toLowerCase()
+    );
+    
+    if (skuMatch.length > 0) {
+        return res.json({
+            sku_id: skuMatch[0].SKU_ID,
+            insight: insightText(skuMatch[0])
+        });
+    }
+    
+    return res.status(404).json({ error: `No AI insight found for ${identifier}` });
+});
+
+// Supplier data endpoint. kpis, metrics and delivery-stats come from the delivery log over
+// ?window_days= (default 90) ending ?as_of= (default today), falling back to suppliers.csv
+// when the supplier has no deliveries in that window; trend buckets the whole log.
+// Keep this after the other two-segment /api/suppliers/* routes: it would shadow them.
+app.get('/api/suppliers/:endpoint/:supplier', (req, res) => {
+    const { endpoint, supplier } = req.params;
+    const match = suppliersData.filter(item => 
+        item.Supplier_Name.toLowerCase() === supplier.toLowerCase()
+    );
+    
+    if (match.length === 0) {
+        return res.status(404).json({ error: `${supplier} not found` });
+    }
+    
+    const supplierData = match[0];
+    const { window, error } = parseDeliveryWindow(req.query);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+    const deliveries = supplierDeliveries(supplierData.Supplier_Name);
+    const current = deliveryStats(deliveries.filter(item => inDeliveryWindow(item, window)));
+    const fromLog = current.total > 0;
+    const source = fromLog ? { source: 'delivery_log', window: window } : { source: 'suppliers.csv', window: null };
+    
+    if (endpoint === 'kpis') {
+        const previousWindow = { ...window, as_of: addDaysToKey(window.as_of, -window.window_days) };
+        const previous = deliveryStats(deliveries.filter(item => inDeliveryWindow(item, previousWindow)));
+        res.json({
+            supplier: supplierData.Supplier_Name,
+            lead_time_days: fromLog && current.lead_time_days !== null ? current.lead_time_days : parseFloat(supplierData.Lead_Time_Days),
+            fulfillment_rate_percent: fromLog ? current.fulfillment_percent : parseFloat(supplierData.Fulfillment_Rate.replace('%', '')),
+            otd_percent: fromLog ? current.otd_percent : parseFloat(supplierData.OTD_Percentage.replace('%', '')),
+            late_deliveries: fromLog ? current.late : parseInt(supplierData.Late_Deliveries),
+            total_orders: fromLog ? current.total : parseInt(supplierData.Total_Orders),
+            otd_change: fromLog && previous.total ? round2(current.otd_percent - previous.otd_percent) : null,
+            ...source
+        });
+    } else if (endpoint === 'metrics') {
+        res.json({
+            "OTD %": fromLog ? current.otd_percent : parseFloat(supplierData.OTD_Percentage.replace('%', '')),
+            "Quality Score": fromLog ? current.quality_score : parseFloat(supplierData.Quality_Score),
+            "Fulfillment %": fromLog ? current.fulfillment_percent : parseFloat(supplierData.Fulfillment_Rate.replace('%', '')),
+            ...source
+        });
+    } else if (endpoint === 'delivery-stats') {
+        const totalOrders = fromLog ? current.total : parseInt(supplierData.Total_Orders);
+        const lateDeliveries = fromLog ? current.late : parseInt(supplierData.Late_Deliveries);
+        res.json({
+            on_time: totalOrders - lateDeliveries,
+            late: lateDeliveries,
+            total: totalOrders,
+            ...source
+        });
+    } else if (endpoint === 'trend') {
+        const bucket = req.query.bucket || 'month';
+        if (!Object.hasOwn(deliveryBuckets, bucket)) {
+            return res.status(400).json({ error: `bucket must be one of ${Object.keys(deliveryBuckets).join(', ')}` });
+        }
+        const periods = {};
+        deliveries.forEach(item => {
+            const period = deliveryBuckets[bucket](item.Received_Date);
+            periods[period] = periods[period] || [];
+            periods[period].push(item);
+        });
+        res.json(Object.keys(periods).sort().map(period => ({ period: period, ...deliveryStats(periods[period]) })));
+    } else {
+        res.status(400).json({ error: `Unknown supplier endpoint '${endpoint}'` });
+    }
+});
+
+// ─── INSIGHTS APIs ───────────────────────────────────
+
+// Load insights data
+let monthlyInsightsData = [];
+let quarterlyInsightsData = [];
+let yearlyInsightsData = [];
+
+const loadHistoricalInsightsData = () => {
+    return Promise.all([
+        new Promise((resolve, reject) => {
+            const monthlyPath = dataFilePath('groq_monthly_insights.csv');
+            const data = [];
+            fs.createReadStream(monthlyPath)
+                .pipe(csv(csvOptions()))
+                .on('data', (row) => {
+                    data.push(row);
+                })
+                .on('end', () => {
+                    monthlyInsightsData = data;
+                    resolve();
+                })
+                .on('error', reject);
+        }),
+        new Promise((resolve, reject) => {
+            const quarterlyPath = dataFilePath('groq_quarterly_regional_insights.csv');
+            const data = [];
+            fs.createReadStream(quarterlyPath)
+                .pipe(csv(csvOptions()))
+                .on('data', (row) => {
+                    data.push(row);
+                })
+                .on('end', () => {
+                    quarterlyInsightsData = data;
+                    resolve();
+                })
+                .on('error', reject);
+        }),
+        new Promise((resolve, reject) => {
+            const yearlyPath = dataFilePath('groq_yearly_regional_insights.csv');
+            const data = [];
+            fs.createReadStream(yearlyPath)
+                .pipe(csv(csvOptions()))
+                .on('data', (row) => {
+                    data.push(row);
+                })
+                .on('end', () => {
+                    yearlyInsightsData = data;
+                    resolve();
+                })
+                .on('error', reject);
+        })
+    ]);
+};
+
+// ─── AI INSIGHT GENERATION ───────────────────────────
+//
+// Insights are generated from the live datasets through a provider chosen by INSIGHT_PROVIDER:
+//   stub               offline and deterministic, the default (no API key needed)
+//   openai-compatible  any chat completions endpoint: INSIGHT_API_URL, INSIGHT_API_KEY, INSIGHT_MODEL
+// Results are cached in Data/state/insight_cache.json and replace the matching row in the frozen
+// insight datasets, so the existing insight endpoints serve the fresh text.
+
+const insightConfig = {
+    provider: process.env.INSIGHT_PROVIDER || 'stub',
+    url: process.env.INSIGHT_API_URL || 'https://api.groq.com/openai/v1/chat/completions',
+    model: process.env.INSIGHT_MODEL || 'llama-3.1-8b-instant',
+    apiKey: process.env.INSIGHT_API_KEY || process.env.GROQ_API_KEY || '',
+    timeoutMs: parseInt(process.env.INSIGHT_TIMEOUT_MS || 30000)
+};
+
+const insightSystemPrompt = 'You are a supply chain analyst for a motor pump manufacturer. ' +
+    'Reply with 3-5 concise, actionable bullet points and only use the figures you are given.';
+
+// Providers take { system, prompt, title, facts } and resolve to the insight text
+const insightProviders = {
+    stub: async ({ title, facts }) => [
+        `**${title}**`,
+        '',
+        ...facts.map(fact => `• **${fact.label}**: ${fact.value}`)
+    ].join('\n'),
+    'openai-compatible': async ({ system, prompt }) => {
+        if (!insightConfig.apiKey) {
+            throw new Error('INSIGHT_API_KEY is not set');
+        }
+        const response = await fetch(insightConfig.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${insightConfig.apiKey}`
+            },
+            body: JSON.stringify({
+                model: insightConfig.model,
+                temperature: 0.3,
+                messages: [
+                    { role: 'system', content: system },
+                    { role: 'user', content: prompt }
+                ]
+            }),
+            signal: AbortSignal.timeout(insightConfig.timeoutMs)
+        });
+        if (!response.ok) {
+            throw new Error(`Insight provider returned ${response.status}: ${(await response.text()).slice(0, 200)}`);
+        }
+        const body = await response.json();
+        const text = body.choices && body.choices[0] && body.choices[0].message && body.choices[0].message.content;
+        if (!text) {
+            throw new Error('Insight provider returned no text');
+        }
+        return text.trim();
+    }
+};
+
+// Where each kind of insight is served from: the dataset, its key columns and text column
+const insightTargets = {
+    demand: { rows: () => insightsData, keys: ['Month', 'PRODUCT_CARD_ID'], field: 'GPT_Bullet_Insight' },
+    monthly: { rows: () => monthlyInsightsData, keys: ['Month'], field: 'GPT_Bullet_Insight' },
+    quarterly: { rows: () => quarterlyInsightsData, keys: ['Quarter'], field: 'GPT_Quarterly_Insight' },
+    yearly: { rows: () => yearlyInsightsData, keys: ['Year'], field: 'GPT_Yearly_Insight' },
+    supplier: { rows: () => supplierInsightsData, keys: ['SKU_ID'], field: 'AI_Supplier_Insight' },
+    procurement: { rows: () => procurementData, keys: ['SKU_ID'], field: 'Procurement_Insight' },
+    operator: { rows: () => operatorInsightsData, keys: ['Operator_ID'], field: 'AI_Insight' }
+};
+
+// Prompt builders: validated params -> { key, target, row, title, facts } or { error, status }
+const insightPromptBuilders = {
+    // Forecast demand for one product in one month (groq_bullet_monthly_insights.csv)
+    demand: ({ month, PRODUCT_CARD_ID }) => {
+        if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month || '') || !PRODUCT_CARD_ID) {
+            return { error: 'demand insights need month (YYYY-MM) and PRODUCT_CARD_ID' };
+        }
+        const monthDemand = (key) => forecastData
+            .filter(row => row.PRODUCT_CARD_ID === PRODUCT_CARD_ID && row.Date.toISOString().slice(0, 7) === key)
+            .reduce((sum, row) => sum + row.Forecasted_Demand, 0);
+        const rows = forecastData.filter(row => row.PRODUCT_CARD_ID === PRODUCT_CARD_ID);
+        const demand = Math.round(monthDemand(month));
+        if (!rows.length || !demand) {
+            return { error: `No forecast for ${PRODUCT_CARD_ID} in ${month}`, status: 404 };
+        }
+        const previousMonth = addDaysToKey(`${month}-01`, -1).slice(0, 7);
+        const previous = Math.round(monthDemand(previousMonth));
+        const facts = [
+            { label: 'Product', value: `${rows[0].PRODUCT_NAME} (${PRODUCT_CARD_ID})` },
+            { label: 'Forecasted demand', value: `${demand} units in ${month}` }
+        ];
+        if (previous) {
+            facts.push({ label: 'Change vs previous month', value: `${round2((demand - previous) / previous * 100)}% (${previous} units in ${previousMonth})` });
+        }
+        return {
+            key: `${month}|${PRODUCT_CARD_ID}`,
+            target: 'demand',
+            row: { Month: month, PRODUCT_NAME: rows[0].PRODUCT_NAME, PRODUCT_CARD_ID: PRODUCT_CARD_ID, Forecasted_Demand: String(demand) },
+            title: `Motor Pump Demand Insights - ${rows[0].PRODUCT_NAME} ${month}`,
+            facts: facts
+        };
+    },
+    // Sales performance for a month (YYYY-MM), quarter (YYYYQn) or year (YYYY)
+    sales: ({ period }) => {
+        const match = /^(\d{4})(?:-(\d{2})|Q([1-4]))?$/.exec(period || '');
+        if (!match) {
+            return { error: 'sales insights need period as YYYY-MM, YYYYQn or YYYY' };
+        }
+        const [, year, month, quarter] = match;
+        const rows = salesData.filter(item => {
+            const date = item['order date (DateOrders)'];
+            return date.getFullYear() === Number(year) &&
+                (!month || date.getMonth() + 1 === Number(month)) &&
+                (!quarter || getQuarter(date) === Number(quarter));
+        });
+        if (!rows.length) {
+            return { error: `No sales found for ${period}`, status: 404 };
+        }
+        const sum = (column) => rows.reduce((total, item) => total + parseFloat(item[column] || 0), 0);
+        const target = month ? 'monthly' : quarter ? 'quarterly' : 'yearly';
+        const keyColumn = insightTargets[target].keys[0];
+        return {
+            key: period,
+            target: target,
+            row: { [keyColumn]: period },
+            title: `Motor Pump Sales Performance - ${period}`,
+            facts: [
+                { label: 'Orders', value: rows.length },
+                { label: 'Units sold', value: Math.round(sum('Order Item Quantity')) },
+                { label: 'Sales value', value: round2(sum('Sales')) },
+                { label: 'Average delivery delay', value: `${round2((sum('Days for shipping (real)') - sum('Days for shipment (scheduled)')) / rows.length)} days` },
+                { label: 'Orders at risk of late delivery', value: `${round2(sum('Late_delivery_risk') / rows.length * 100)}%` }
+            ]
+        };
+    },
+    // Primary vs alternate suppliers for one SKU (ai_supplier_insight_output.csv)
+    supplier: ({ sku }) => {
+        const ranking = rankSuppliers(scoreSuppliers(supplierScoreWeights).filter(row => row.sku === sku));
+        if (!ranking.length) {
+            return { error: `No suppliers found for SKU ${sku}`, status: 404 };
+        }
+        return {
+            key: sku,
+            target: 'supplier',
+            row: { SKU_ID: sku },
+            title: `Supplier recommendation for ${sku}`,
+            facts: ranking.map(row => ({
+                label: `#${row.rank} ${row.supplier_name} (${row.type})`,
+                value: `score ${row.score}, OTD ${row.otd_percent}%, quality ${row.quality_score}/100, ` +
+                    `fulfillment ${row.fulfillment_percent}%, lead time ${row.lead_time_days} days`
+            }))
+        };
+    },
+    // Stock position against the reorder point for one SKU (smart_procurement_insights_dec2017.csv)
+    procurement: ({ sku }) => {
+        const stock = stockData.find(item => item.SKU_No === sku);
+        if (!stock) {
+            return { error: `SKU ${sku} not found`, status: 404 };
+        }
+        const alert = alertData.find(item => item.SKU_No === sku) || {};
+        const component = bomData.find(item => item.SKU_No === sku) || {};
+        const available = parseInt(stock.Stock_On_Hand || 0) + parseInt(stock.In_Transit || 0);
+        const dailyDemand = parseFloat(alert.Avg_Daily_Demand || 0);
+        return {
+            key: sku,
+            target: 'procurement',
+            row: { SKU_ID: sku, SKU_Name: component.SKU_Name || '' },
+            title: `Procurement insight for ${component.SKU_Name || sku}`,
+            facts: [
+                { label: 'Stock on hand', value: parseInt(stock.Stock_On_Hand || 0) },
+                { label: 'In transit', value: parseInt(stock.In_Transit || 0) },
+                { label: 'Reorder point', value: `${alert.Reorder_Point || 'n/a'} (safety stock ${alert.Safety_Stock || 'n/a'})` },
+                { label: 'Average daily demand', value: dailyDemand },
+                { label: 'Days of cover', value: dailyDemand ? round2(available / dailyDemand) : 'n/a' },
+                { label: 'Supplier', value: `${alert.Supplier || 'n/a'}, lead time ${alert.Lead_Time || stock.Lead_Time_Days} days` }
+            ]
+        };
+    },
+    // Attendance and leave for one operator (groq_operator_jan_feb_insights.csv)
+    operator: ({ operator_id }) => {
+        const operator = operatorStationMapData.find(item => item.Operator_ID === operator_id);
+        if (!operator) {
+            return { error: `Operator ${operator_id} not found`, status: 404 };
+        }
+        const records = attendanceData.filter(item => item.Operator_ID === operator_id);
+        const absent = records.filter(item => item.Present === 'No').length;
+        const leaves = blockingLeaves().filter(item => item.Operator_ID === operator_id);
+        return {
+            key: operator_id,
+            target: 'operator',
+            row: { Operator_ID: operator_id },
+            title: `Operator insight for ${operator.Operator_Name}`,
+            facts: [
+                { label: 'Home station', value: `${operator.Station_ID} (${operator.Skill_Level} skill)` },
+                { label: 'Attendance', value: records.length ? `${round2((records.length - absent) / records.length * 100)}% over ${records.length} recorded days` : 'no records' },
+                { label: 'Absences', value: absent },
+                { label: 'Approved leave', value: leaves.length ? leaves.map(item => `${item.From_Date} to ${item.To_Date} (${item.Reason})`).join('; ') : 'none' }
+            ]
+        };
+    }
+};
+
+const insightCachePath = statePath('insight_cache.json');
+let insightCacheData = [];
+
+const loadInsightCacheData = async () => {
+    insightCacheData = readJson(insightCachePath, []);
+};
+
+// Put a generated insight into its dataset, replacing the frozen row for the same key
+const applyInsight = (entry) => {
+    const target = insightTargets[entry.target];
+    const rows = target.rows();
+    const existing = rows.find(row => target.keys.every(key => row[key] === entry.row[key]));
+    if (existing) {
+        existing[target.field] = entry.insight;
+    } else {
+        rows.push({ ...entry.row, [target.field]: entry.insight });
+    }
+    invalidateSearchIndex();
+};
+
+const applyCachedInsights = () => insightCacheData.forEach(applyInsight);
+
+// Build the prompt for a request and return the cached insight, or generate a new one when
+// there is none, the underlying data has changed, or regenerate is set
+const generateInsight = async (kind, params, regenerate) => {
+    const built = insightPromptBuilders[kind](params);
+    if (built.error) {
+        return built;
+    }
+    const provider = insightProviders[insightConfig.provider];
+    if (!provider) {
+        return { error: `Unknown INSIGHT_PROVIDER '${insightConfig.provider}'`, status: 500 };
+    }
+    const prompt = `${built.title}\n\nData:\n${built.facts.map(fact => `- ${fact.label}: ${fact.value}`).join('\n')}`;
+    const model = insightConfig.provider === 'stub' ? 'stub' : insightConfig.model;
+    const promptHash = crypto.createHash('sha256').update(`${model}\n${prompt}`).digest('hex');
+    const cached = insightCacheData.find(entry => entry.kind === kind && entry.key === built.key);
+
+    if (cached && cached.prompt_hash === promptHash && !regenerate) {
+        return { entry: cached, cached: true };
+    }
+    const entry = {
+        kind: kind,
+        key: built.key,
+        target: built.target,
+        row: built.row,
+        provider: insightConfig.provider,
+        model: model,
+        prompt_hash: promptHash,
+        insight: await provider({ system: insightSystemPrompt, prompt: prompt, title: built.title, facts: built.facts }),
+        generated_at: new Date().toISOString()
+    };
+    insightCacheData = insightCacheData.filter(item => item !== cached).concat(entry);
+    writeJson(insightCachePath, insightCacheData);
+    applyInsight(entry);
+    return { entry: entry, cached: false };
+};
+
+// Which provider and model generate insights (never the key)
+app.get('/api/insights/provider', (req, res) => {
+    res.json({
+        provider: insightConfig.provider,
+        model: insightConfig.provider === 'stub' ? 'stub' : insightConfig.model,
+        url: insightConfig.provider === 'stub' ? null : insightConfig.url,
+        api_key_set: Boolean(insightConfig.apiKey),
+        kinds: Object.keys(insightPromptBuilders)
+    });
+});
+
+// Cached generated insights (?kind=)
+app.get('/api/insights/generated', (req, res) => {
+    const { kind } = req.query;
+    res.json(insightCacheData.filter(entry => !kind || entry.kind === kind));
+});
+
+// Generate (or return the cached) insight:
+// { kind: 'demand', month, PRODUCT_CARD_ID } | { kind: 'sales', period } | { kind: 'supplier' | 'procurement', sku }
+// | { kind: 'operator', operator_id }, plus regenerate: true to bypass the cache
+app.post('/api/insights/generate', async (req, res) => {
+    const { kind, regenerate, ...params } = req.body || {};
+    if (!Object.hasOwn(insightPromptBuilders, kind)) {
+        return res.status(400).json({ error: `kind must be one of ${Object.keys(insightPromptBuilders).join(', ')}` });
+    }
+    try {
+        const result = await generateInsight(kind, params, regenerate === true);
+        if (result.error) {
+            return res.status(result.status || 400).json({ error: result.error });
+        }
+        res.json({ ...result.entry, cached: result.cached });
+    } catch (error) {
+        res.status(502).json({ error: `Insight generation failed: ${error.message}` });
+    }
+});
+
+// Insights by period endpoint
+app.get('/api/insights/:period', (req, res) => {
+    const { period } = req.params;
+    const fileMap = {
+        'monthly': monthlyInsightsData,
+        'quarterly': quarterlyInsightsData,
+        'yearly': yearlyInsightsData
+    };
+    
+    if (!fileMap[period]) {
+        return res.status(400).json({ error: `Invalid period '${period}'` });
+    }
+    
+    sendList(req, res, fileMap[period]);
+});
+
+// ─── INSIGHT SEARCH ──────────────────────────────────
+//
+// An in-memory inverted index over every insight dataset in insightTargets, built on first
+// search and dropped whenever an insight is (re)generated. Ranking is BM25.
+
+const searchStopWords = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in', 'is',
+    'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'which', 'with', 'what', 'mention', 'mentions']);
+
+// Helper function to fold plurals so "stockouts" finds "stockout"
+const stemSearchToken = (token) => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')
+    ? token.slice(0, token.endsWith('ies') ? -3 : -1) + (token.endsWith('ies') ? 'y' : '')
+    : token);
+
+const tokenizeSearchText = (text) => (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(token => !searchStopWords.has(token))
+    .map(stemSearchToken);
+
+// Period each insight row covers, as YYYY-MM, YYYYQn or YYYY
+const searchPeriod = (row) => row.Month || row.Quarter || row.Year || null;
+
+// Products an insight row is about: its own product, the products using its SKU, or those it names
+const searchProducts = (row, text) => {
+    const products = new Map(forecastData.map(item => [item.PRODUCT_CARD_ID, item.PRODUCT_NAME]));
+    const ids = new Set();
+    if (row.PRODUCT_CARD_ID) {
+        ids.add(row.PRODUCT_CARD_ID);
+    }
+    bomData.filter(item => row.SKU_ID && item.SKU_No === row.SKU_ID).forEach(item => ids.add(item.PRODUCT_CARD_ID));
+    products.forEach((name, id) => {
+        if (text.includes(id) || text.toLowerCase().includes(String(name).toLowerCase())) {
+            ids.add(id);
+        }
+    });
+    return [...ids].map(id => ({ PRODUCT_CARD_ID: id, PRODUCT_NAME: products.get(id) || null }));
+};
+
+let searchIndex = null;
+
+const invalidateSearchIndex = () => {
+    searchIndex = null;
+};
+
+const buildSearchIndex = () => {
+    const documents = [];
+    const postings = new Map();
+    Object.entries(insightTargets).forEach(([source, target]) => {
+        target.rows().forEach(row => {
+            const text = typeof row[target.field] === 'string' ? row[target.field] : '';
+            if (!text) {
+                return;
+            }
+            const tokens = tokenizeSearchText(text);
+            const id = documents.length;
+            documents.push({
+                source: source,
+                ref: Object.fromEntries(target.keys.map(key => [key, row[key]])),
+                period: searchPeriod(row),
+                products: searchProducts(row, text),
+                text: text,
+                length: tokens.length
+            });
+            tokens.forEach(token => {
+                if (!postings.has(token)) {
+                    postings.set(token, new Map());
+                }
+                postings.get(token).set(id, (postings.get(token).get(id) || 0) + 1);
+            });
+        });
+    });
+    const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / (documents.length || 1);
+    return { documents: documents, postings: postings, averageLength: averageLength };
+};
+
+// Helper function to cut a snippet around the first hit and wrap every hit in <mark>
+const searchSnippet = (text, terms, radius = 90) => {
+    const plain = text.replace(/\*\*|__/g, '').replace(/\s+/g, ' ').trim();
+    const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/y$/, '(?:y|ie)'));
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${escaped.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+    const first = plain.search(pattern);
+    const start = Math.max(0, (first < 0 ? 0 : first) - radius);
+    const end = Math.min(plain.length, (first < 0 ? 0 : first) + radius * 2);
+    return `${start > 0 ? '…' : ''}${plain.slice(start, end).replace(pattern, '<mark>$&</mark>')}${end < plain.length ? '…' : ''}`;
+};
+
+// Search insights: ?q= plus optional source, product (id or name), period (prefix, e.g. 2017 or 2017-12)
+// and limit. Documents matching more query terms rank first, then by BM25 score.
+app.get('/api/search', (req, res) => {
+    const terms = [...new Set(tokenizeSearchText(req.query.q))];
+    if (!terms.length) {
+        return res.status(400).json({ error: 'q must contain at least one search term' });
+    }
+    const sources = req.query.source ? queryValues(req.query.source) : [];
+    const unknown = sources.find(source => !Object.hasOwn(insightTargets, source));
+    if (unknown) {
+        return res.status(400).json({ error: `Unknown source '${unknown}'; expected one of ${Object.keys(insightTargets).join(', ')}` });
+    }
+    const product = (req.query.product || '').toLowerCase();
+    const period = req.query.period || '';
+    const limit = parseLimit(req.query.limit) || 20;
+
+    searchIndex = searchIndex || buildSearchIndex();
+    const { documents, postings, averageLength } = searchIndex;
+    const k1 = 1.2;
+    const b = 0.75;
+    const hits = new Map();
+    terms.forEach(term => {
+        const matches = postings.get(term);
+        if (!matches) {
+            return;
+        }
+        const idf = Math.log(1 + (documents.length - matches.size + 0.5) / (matches.size + 0.5));
+        matches.forEach((frequency, id) => {
+            const doc = documents[id];
+            const hit = hits.get(id) || { score: 0, terms: [] };
+            hit.score += idf * frequency * (k1 + 1) / (frequency + k1 * (1 - b + b * doc.length / averageLength));
+            hit.terms.push(term);
+            hits.set(id, hit);
+        });
+    });
+
+    const results = [...hits.entries()]
+        .map(([id, hit]) => ({ doc: documents[id], ...hit }))
+        .filter(({ doc }) => !sources.length || sources.includes(doc.source))
+        .filter(({ doc }) => !product || doc.products.some(item =>
+            item.PRODUCT_CARD_ID.toLowerCase() === product || String(item.PRODUCT_NAME).toLowerCase() === product))
+        .filter(({ doc }) => !period || (doc.period && doc.period.startsWith(period)))
+        .sort((a, b) => b.terms.length - a.terms.length || b.score - a.score);
+
+    const facets = {};
+    results.forEach(({ doc }) => {
+        facets[doc.source] = (facets[doc.source] || 0) + 1;
+    });
+
+    res.json({
+        query: req.query.q,
+        terms: terms,
+        total: results.length,
+        sources: facets,
+        results: results.slice(0, limit).map(({ doc, score, terms: matched }) => ({
+            source: doc.source,
+            ...doc.ref,
+            period: doc.period,
+            products: doc.products,
+            score: round2(score),
+            matched_terms: matched,
+            snippet: searchSnippet(doc.text, matched)
+        }))
+    });
+});
+
+// ─── DATASET INGESTION ───────────────────────────────
+//
+// Every CSV the loaders read can be replaced at runtime: POST the file to
+// /api/datasets/:name/upload, it is validated against the schema below, written to
+// Data/state/<file> (via a temp file), which the loaders prefer over the seed file, and
+// swapped into memory. The file it replaced is kept in Data/state/previous/ so
+// /api/datasets/:name/rollback can swap it back.
+
+const previousDatasetsDir = statePath('previous');
+const datasetVersionsPath = statePath('dataset_versions.json');
+const MAX_DATASET_ERRORS = 100;
+
+// Column types: value -> true when valid
+const datasetColumnTypes = {
+    string: value => value.trim() !== '',
+    text: () => true,
+    number: value => value.trim() !== '' && isFinite(Number(value)),
+    integer: value => /^-?\d+$/.test(value.trim()),
+    percent: value => /^-?\d+(\.\d+)?%?$/.test(value.trim()),
+    date: value => parseQueryDate(value.trim(), false) !== null,
+    'dd-mm-yyyy': value => {
+        const match = /^(\d{2})-(\d{2})-(\d{4})$/.exec(value.trim());
+        return Boolean(match) && parseQueryDate(`${match[3]}-${match[2]}-${match[1]}`, false) !== null;
+    },
+    'order-date': value => value.trim() !== '' && !isNaN(parseOrderDate(value)),
+    month: value => /^\d{4}-(0[1-9]|1[0-2])$/.test(value.trim()),
+    quarter: value => /^\d{4}Q[1-4]$/.test(value.trim()),
+    year: value => /^\d{4}$/.test(value.trim()),
+    time: value => timeToMinutes(value.trim()) !== null,
+    'yes-no': value => ['Yes', 'No'].includes(value.trim()),
+    skill: value => Boolean(skillRank[value.trim()])
+};
+
+// Dataset name -> file, schema (columns, plus optional ones that may be missing or blank),
+// how to parse it (prepare, parseOptions), the in-memory rows and how to swap new rows in
+const datasetRegistry = {
+    forecasts: {
+        file: 'all_pump_forecasts.csv',
+        columns: { Date: 'date', Forecasted_Demand: 'number', PRODUCT_CARD_ID: 'string', PRODUCT_NAME: 'string' },
+        rows: () => forecastData,
+        apply: rows => {
+            forecastData = rows.map(row => ({ ...row, Forecasted_Demand: parseFloat(row.Forecasted_Demand), Date: new Date(row.Date) }));
+            forecastSource = { source: 'file', file: path.basename(dataPath) };
+            refreshReorderPoints();
+        }
+    },
+    forecast_insights: {
+        file: 'groq_bullet_monthly_insights.csv',
+        columns: { Month: 'month', PRODUCT_NAME: 'string', PRODUCT_CARD_ID: 'string', Forecasted_Demand: 'number', GPT_Bullet_Insight: 'string' },
+        rows: () => insightsData,
+        apply: rows => {
+            insightsData = rows;
+            invalidateSearchIndex();
+        }
+    },
+    sales: {
+        file: 'Pump_Data.csv',
+        columns: {
+            'order date (DateOrders)': 'order-date',
+            'Product Card Id': 'string',
+            'Product Name': 'string',
+            'Order Item Quantity': 'number',
+            'Sales': 'number',
+            'Days for shipping (real)': 'number',
+            'Days for shipment (scheduled)': 'number',
+            'Late_delivery_risk': 'integer',
+            'Delivery Status': 'string',
+            'Shipping Mode': 'string',
+            'Order Region': 'string',
+            'Category Name': 'string',
+            'Customer City': 'text'
+        },
+        rows: () => salesData,
+        apply: rows => {
+            salesData = rows.map(row => ({ ...row, 'order date (DateOrders)': parseOrderDate(row['order date (DateOrders)']) }));
+        }
+    },
+    product_card_map: {
+        file: path.basename(productCardMapPath),
+        columns: { Product_Card_Id: 'string', PRODUCT_CARD_ID: 'string' },
+        rows: () => productCardMapData,
+        apply: rows => {
+            productCardMapData = rows;
+        }
+    },
+    stock_levels: {
+        file: path.basename(stockLevelsPath),
+        columns: { SKU_No: 'string', Stock_On_Hand: 'integer', In_Transit: 'integer', Lead_Time_Days: 'number' },
+        rows: () => stockData,
+        apply: rows => {
+            stockData = rows;
+            saveStockLevels();
+        }
+    },
+    bom: {
+        file: 'bom_data.csv',
+        columns: { PRODUCT_CARD_ID: 'string', SKU_No: 'string', SKU_Name: 'string', Station: 'string', Quantity: 'number', Total_Quantity: 'number', Operator: 'string' },
+        parseOptions: { renameDuplicates: true },
+        rows: () => bomData,
+        apply: rows => {
+            applyBomRows(rows);
+            refreshReorderPoints();
+        }
+    },
+    mrp_plan: {
+        file: 'total_mrp_plan_updated.csv',
+        columns: { Date: 'dd-mm-yyyy', Product_ID: 'string', SKU_No: 'string', Required_Qty: 'number', Available_Stock: 'number', Station: 'string', Status: 'string' },
+        rows: () => mrpData,
+        apply: rows => {
+            mrpData = rows;
+            mrpSource = { source: 'file', file: 'total_mrp_plan_updated.csv' };
+        }
+    },
+    production_schedule: {
+        file: 'total_production_schedule.csv',
+        columns: { PRODUCT_CARD_ID: 'string', PRODUCT_NAME: 'string', Scheduled_Date: 'dd-mm-yyyy', Scheduled_Quantity: 'integer', Status: 'string' },
+        rows: () => scheduleData,
+        apply: rows => {
+            scheduleData = rows;
+            syncProductionOrderViews();
+        }
+    },
+    production_orders: {
+        file: 'total_production_orders.csv',
+        columns: { PO_Number: 'string', Date: 'date', SKU_No: 'string', Qty: 'number', Station: 'string' },
+        rows: () => productionOrdersData,
+        apply: rows => {
+            productionOrdersData = rows;
+            syncProductionOrderViews();
+        }
+    },
+    station_schedule: {
+        file: path.basename(stationSchedulePath),
+        columns: { Time: 'time', Station: 'string', Operator: 'string', Product_Model: 'string', Product_Name: 'string', Scheduled_Date: 'dd-mm-yyyy', PO_Number: 'string', Unit: 'integer' },
+        rows: () => stationScheduleData,
+        apply: rows => {
+            stationScheduleData = rows;
+            saveStationSchedule();
+        }
+    },
+    procurement_insights: {
+        file: 'smart_procurement_insights_dec2017.csv',
+        columns: { SKU_ID: 'string', SKU_Name: 'string', Procurement_Insight: 'string' },
+        rows: () => procurementData,
+        apply: rows => {
+            procurementData = rows;
+            invalidateSearchIndex();
+        }
+    },
+    operator_station_map: {
+        file: 'operator_station_map.csv',
+        columns: { Operator_ID: 'string', Operator_Name: 'string', Station_ID: 'string', Skill_Level: 'skill' },
+        rows: () => operatorStationMapData,
+        apply: rows => {
+            operatorStationMapData = rows;
+        }
+    },
+    attendance: {
+        file: 'attendance_log.csv',
+        columns: { Date: 'date', Operator_ID: 'string', Operator_Name: 'string', Present: 'yes-no', Shift: 'text' },
+        optional: ['Shift'],
+        prepare: sanitizeAttendanceCsv,
+        rows: () => attendanceData,
+        apply: rows => {
+            const previousAbsences = new Set(attendanceData
+                .filter(item => item.Present === 'No')
+                .map(item => `${item.Date}|${item.Operator_ID}`));
+            attendanceData = rows;
+            rows.filter(item => item.Present === 'No' && !previousAbsences.has(`${item.Date}|${item.Operator_ID}`))
+                .forEach(item => publishEvent('attendance', 'operator.absent', {
+                    date: item.Date,
+                    operator_id: item.Operator_ID,
+                    operator_name: item.Operator_Name,
+                    shift: item.Shift || 'Day'
+                }));
+        }
+    },
+    operator_insights: {
+        file: 'groq_operator_jan_feb_insights.csv',
+        columns: { Operator_ID: 'string', AI_Insight: 'string' },
+        rows: () => operatorInsightsData,
+        apply: rows => {
+            operatorInsightsData = rows;
+            invalidateSearchIndex();
+        }
+    },
+    suppliers: {
+        file: 'suppliers.csv',
+        columns: {
+            SKU_No: 'string', Supplier_Name: 'string', Email: 'text', Lead_Time_Days: 'number', OTD_Percentage: 'percent',
+            Quality_Score: 'number', Fulfillment_Rate: 'percent', Total_Orders: 'integer', Late_Deliveries: 'integer', Avg_Late_Per_Order: 'number'
+        },
+        optional: ['Avg_Late_Per_Order'],
+        rows: () => suppliersData,
+        apply: rows => {
+            suppliersData = rows;
+            refreshReorderPoints();
+        }
+    },
+    alternate_suppliers: {
+        file: 'alternate_suppliers.csv',
+        columns: {
+            Supplier_ID: 'string', SKU_ID: 'string', Supplier_Name: 'string', Avg_Lead_Time_Days: 'number', OTD_Percentage: 'percent',
+            Quality_Score: 'number', Fulfillment_Rate: 'percent', Contact_Person: 'text', Email: 'text', Phone: 'text', Location: 'text'
+        },
+        optional: ['Contact_Person', 'Email', 'Phone', 'Location'],
+        rows: () => alternateSuppliersData,
+        apply: rows => {
+            alternateSuppliersData = rows;
+        }
+    },
+    supplier_insights: {
+        file: 'ai_supplier_insight_output.csv',
+        columns: { SKU_ID: 'string', AI_Supplier_Insight: 'string' },
+        rows: () => supplierInsightsData,
+        apply: rows => {
+            supplierInsightsData = rows;
+            invalidateSearchIndex();
+        }
+    },
+    monthly_insights: {
+        file: 'groq_monthly_insights.csv',
+        columns: { Month: 'month', GPT_Bullet_Insight: 'string' },
+        rows: () => monthlyInsightsData,
+        apply: rows => {
+            monthlyInsightsData = rows;
+            invalidateSearchIndex();
+        }
+    },
+    quarterly_insights: {
+        file: 'groq_quarterly_regional_insights.csv',
+        columns: { Quarter: 'quarter', GPT_Quarterly_Insight: 'string' },
+        rows: () => quarterlyInsightsData,
+        apply: rows => {
+            quarterlyInsightsData = rows;
+            invalidateSearchIndex();
+        }
+    },
+    yearly_insights: {
+        file: 'groq_yearly_regional_insights.csv',
+        columns: { Year: 'year', GPT_Yearly_Insight: 'string' },
+        rows: () => yearlyInsightsData,
+        apply: rows => {
+            yearlyInsightsData = rows;
+            invalidateSearchIndex();
+        }
+    }
+};
+
+// Check parsed CSV against a dataset's schema; returns a list of { row, column, value, error }.
+// row is the line number in the file (the header is line 1).
+const validateDataset = (dataset, headers, rows) => {
+    const optional = dataset.optional || [];
+    const errors = Object.keys(dataset.columns)
+        .filter(column => !headers.includes(column) && !optional.includes(column))
+        .map(column => ({ row: 1, column: column, value: null, error: 'missing column' }));
+    if (errors.length) {
+        return errors;
+    }
+    if (!rows.length) {
+        return [{ row: 2, column: null, value: null, error: 'file has no data rows' }];
+    }
+    rows.forEach((row, index) => {
+        Object.entries(dataset.columns).forEach(([column, type]) => {
+            const value = row[column] === undefined ? '' : row[column];
+            if (value === '' && optional.includes(column)) {
+                return;
+            }
+            if (!datasetColumnTypes[type](value)) {
+                errors.push({ row: index + 2, column: column, value: value, error: `expected ${type}` });
+            }
+        });
+    });
+    return errors;
+};
+
+// Registered dataset by name, or null (own keys only, so 'constructor' is unknown too)
+const findDataset = (name) => (Object.hasOwn(datasetRegistry, name) ? datasetRegistry[name] : null);
+
+// The file a dataset is served from, and where uploads write it
+const datasetFilePath = (dataset) => dataFilePath(dataset.file);
+const uploadedDatasetPath = (dataset) => statePath(dataset.file);
+const previousDatasetPath = (dataset) => path.join(previousDatasetsDir, dataset.file);
+
+// Parse a dataset file's text (after its prepare hook, if any)
+const parseDatasetText = (dataset, text) => parseCsvText(dataset.prepare ? dataset.prepare(text) : text, dataset.parseOptions);
+
+// Helper function to record when a dataset was last replaced
+const recordDatasetVersion = (name, event) => {
+    const versions = readJson(datasetVersionsPath, {});
+    versions[name] = { ...event, at: new Date().toISOString(), previous: versions[name] || null };
+    if (versions[name].previous) {
+        delete versions[name].previous.previous;
+    }
+    writeJson(datasetVersionsPath, versions);
+};
+
+// Registered datasets with their schema, size and whether a rollback is available
+app.get('/api/datasets', (req, res) => {
+    const versions = readJson(datasetVersionsPath, {});
+    res.json(Object.entries(datasetRegistry).map(([name, dataset]) => ({
+        name: name,
+        file: dataset.file,
+        columns: Object.entries(dataset.columns).map(([column, type]) => ({
+            name: column,
+            type: type,
+            required: !(dataset.optional || []).includes(column)
+        })),
+        rows: dataset.rows().length,
+        last_change: versions[name] || null,
+        previous_available: fs.existsSync(previousDatasetPath(dataset))
+    })));
+});
+
+// Replace a dataset: send the CSV as the body (Content-Type: text/csv). ?dry_run=true only validates.
+app.post('/api/datasets/:name/upload', express.text({ type: ['text/csv', 'text/plain', 'application/csv'], limit: '100mb' }), async (req, res) => {
+    const dataset = findDataset(req.params.name);
+    if (!dataset) {
+        return res.status(404).json({ error: `Unknown dataset '${req.params.name}'; expected one of ${Object.keys(datasetRegistry).join(', ')}` });
+    }
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+        return res.status(400).json({ error: 'Send the CSV file as the request body with Content-Type: text/csv' });
+    }
+    try {
+        const { headers, rows } = await parseDatasetText(dataset, req.body);
+        const errors = validateDataset(dataset, headers, rows);
+        if (errors.length) {
+            return res.status(400).json({
+                error: `${dataset.file} failed validation with ${errors.length} error(s)`,
+                error_count: errors.length,
+                errors: errors.slice(0, MAX_DATASET_ERRORS)
+            });
+        }
+        if (req.query.dry_run === 'true') {
+            return res.json({ name: req.params.name, valid: true, rows: rows.length });
+        }
+
+        const currentPath = datasetFilePath(dataset);
+        const hadFile = fs.existsSync(currentPath);
+        if (hadFile) {
+            fs.mkdirSync(previousDatasetsDir, { recursive: true });
+            fs.copyFileSync(currentPath, previousDatasetPath(dataset));
+        }
+        const filePath = uploadedDatasetPath(dataset);
+        fs.mkdirSync(stateDir, { recursive: true });
+        const tempPath = `${filePath}.tmp`;
+        fs.writeFileSync(tempPath, req.body);
+        fs.renameSync(tempPath, filePath);
+        try {
+            dataset.apply(rows);
+        } catch (error) {
+            // Put the old file and rows back before reporting the failure
+            if (hadFile) {
+                fs.copyFileSync(previousDatasetPath(dataset), filePath);
+                dataset.apply((await parseDatasetText(dataset, fs.readFileSync(filePath, 'utf8'))).rows);
+            }
+            throw error;
+        }
+        recordDatasetVersion(req.params.name, { event: 'upload', rows: rows.length });
+        publishDatasetReload(req.params.name, 'upload', rows.length);
+        res.json({ name: req.params.name, file: dataset.file, rows: rows.length, previous_available: hadFile });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Swap the previous version of a dataset back in (rolling back again restores the upload)
+app.post('/api/datasets/:name/rollback', async (req, res) => {
+    const dataset = findDataset(req.params.name);
+    if (!dataset) {
+        return res.status(404).json({ error: `Unknown dataset '${req.params.name}'` });
+    }
+    try {
+        const filePath = uploadedDatasetPath(dataset);
+        const previousPath = previousDatasetPath(dataset);
+        if (!fs.existsSync(previousPath)) {
+            return res.status(404).json({ error: `No previous version of ${dataset.file} to roll back to` });
+        }
+        const { rows } = await parseDatasetText(dataset, fs.readFileSync(previousPath, 'utf8'));
+        // Copy rather than move the served file: it is the seed file when nothing was uploaded since
+        const swapPath = `${filePath}.swap`;
+        fs.copyFileSync(datasetFilePath(dataset), swapPath);
+        fs.renameSync(previousPath, filePath);
+        fs.renameSync(swapPath, previousPath);
+        dataset.apply(rows);
+        recordDatasetVersion(req.params.name, { event: 'rollback', rows: rows.length });
+        publishDatasetReload(req.params.name, 'rollback', rows.length);
+        res.json({ name: req.params.name, file: dataset.file, rows: rows.length, previous_available: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ─── DATA QUALITY ────────────────────────────────────
+
+const MAX_QUALITY_SAMPLES = 5;
+
+// Cross-file references: every value of from must appear in to (map adjusts the target values)
+const dataQualityReferences = [
+    { from: ['stock_levels', 'SKU_No'], to: ['bom', 'SKU_No'] },
+    { from: ['bom', 'SKU_No'], to: ['stock_levels', 'SKU_No'] },
+    { from: ['bom', 'SKU_No'], to: ['suppliers', 'SKU_No'] },
+    { from: ['suppliers', 'SKU_No'], to: ['bom', 'SKU_No'] },
+    { from: ['alternate_suppliers', 'SKU_ID'], to: ['bom', 'SKU_No'] },
+    { from: ['mrp_plan', 'SKU_No'], to: ['bom', 'SKU_No'] },
+    { from: ['mrp_plan', 'Product_ID'], to: ['bom', 'PRODUCT_CARD_ID'] },
+    { from: ['production_orders', 'SKU_No'], to: ['bom', 'SKU_No'] },
+    { from: ['procurement_insights', 'SKU_ID'], to: ['bom', 'SKU_No'] },
+    { from: ['supplier_insights', 'SKU_ID'], to: ['bom', 'SKU_No'] },
+    { from: ['forecasts', 'PRODUCT_CARD_ID'], to: ['bom', 'PRODUCT_CARD_ID'] },
+    { from: ['bom', 'PRODUCT_CARD_ID'], to: ['forecasts', 'PRODUCT_CARD_ID'] },
+    { from: ['forecast_insights', 'PRODUCT_CARD_ID'], to: ['forecasts', 'PRODUCT_CARD_ID'] },
+    { from: ['sales', 'Product Card Id'], to: ['forecasts', 'PRODUCT_CARD_ID'] },
+    { from: ['production_schedule', 'PRODUCT_CARD_ID'], to: ['bom', 'PRODUCT_CARD_ID'] },
+    { from: ['station_schedule', 'Product_Model'], to: ['bom', 'PRODUCT_CARD_ID'] },
+    { from: ['attendance', 'Operator_ID'], to: ['operator_station_map', 'Operator_ID'] },
+    { from: ['operator_insights', 'Operator_ID'], to: ['operator_station_map', 'Operator_ID'] },
+    { from: ['bom', 'Operator'], to: ['operator_station_map', 'Operator_Name'], map: operatorFirstName },
+    { from: ['station_schedule', 'Operator'], to: ['operator_station_map', 'Operator_Name'], map: operatorFirstName }
+];
+
+// Helper function to turn a loaded value back into the text the schema checks
+const profileValue = (value) => {
+    if (value instanceof Date) {
+        return isNaN(value) ? 'Invalid Date' : toDayKey(value);
+    }
+    return value === undefined || value === null ? '' : String(value);
+};
+
+// Problems in a dataset file's header line that the loaders have to work around
+const datasetFileIssues = (dataset) => {
+    const filePath = datasetFilePath(dataset);
+    if (!fs.existsSync(filePath)) {
+        return [{ issue: 'missing_file', detail: `${dataset.file} not found` }];
+    }
+    const buffer = Buffer.alloc(4096);
+    const fd = fs.openSync(filePath, 'r');
+    const bytes = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    fs.closeSync(fd);
+    const header = buffer.toString('utf8', 0, bytes).split(/\r?\n/)[0];
+    const names = header.replace(/^\uFEFF/, '').split(',');
+    const issues = [];
+    if (header.startsWith('\uFEFF')) {
+        issues.push({ issue: 'byte_order_mark', detail: `first header read as "\\uFEFF${names[0]}" without normalization` });
+    }
+    if (header.includes('"')) {
+        issues.push({ issue: 'stray_quote', detail: `header contains quotes: ${header.replace(/^\uFEFF/, '')}` });
+    }
+    names.map(name => name.trim()).filter((name, index, all) => all.indexOf(name) !== index).forEach(name => {
+        issues.push({ issue: 'duplicate_header', detail: `"${name}" repeated; the last copy is the one served` });
+    });
+    names.filter(name => name !== name.trim()).forEach(name => {
+        issues.push({ issue: 'header_whitespace', detail: `"${name}"` });
+    });
+    return issues;
+};
+
+// Profile a loaded dataset against its schema
+const profileDataset = (name, dataset) => {
+    const rows = dataset.rows();
+    const headers = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const optional = dataset.optional || [];
+    const invalid = {};
+    const placeholders = {};
+    rows.forEach((row, index) => {
+        Object.entries(dataset.columns).forEach(([column, type]) => {
+            const value = profileValue(row[column]);
+            if (csvNullValues.has(value)) {
+                placeholders[column] = placeholders[column] || { column: column, count: 0, samples: [] };
+                placeholders[column].count++;
+                if (placeholders[column].samples.length < MAX_QUALITY_SAMPLES) {
+                    placeholders[column].samples.push({ row: index + 2, value: value });
+                }
+            }
+            if ((value === '' && optional.includes(column)) || !headers.includes(column) || datasetColumnTypes[type](value)) {
+                return;
+            }
+            invalid[column] = invalid[column] || { column: column, type: type, count: 0, samples: [] };
+            invalid[column].count++;
+            if (invalid[column].samples.length < MAX_QUALITY_SAMPLES) {
+                invalid[column].samples.push({ row: index + 2, value: value });
+            }
+        });
+    });
+    const dateColumns = Object.entries(dataset.columns).filter(([, type]) => ['date', 'dd-mm-yyyy', 'order-date'].includes(type));
+    return {
+        name: name,
+        file: dataset.file,
+        rows: rows.length,
+        missing_columns: rows.length
+            ? Object.keys(dataset.columns).filter(column => !headers.includes(column) && !optional.includes(column))
+            : [],
+        invalid_values: Object.values(invalid),
+        placeholder_values: Object.values(placeholders),
+        file_issues: datasetFileIssues(dataset),
+        date_formats: Object.fromEntries(dateColumns.map(([column, type]) => [column, {
+            date: 'YYYY-MM-DD',
+            'dd-mm-yyyy': 'DD-MM-YYYY',
+            'order-date': 'M/D/YYYY H:mm'
+        }[type]]))
+    };
+};
+
+// Values referenced in one dataset that are missing from the dataset they point at
+const findOrphans = () => dataQualityReferences.map(reference => {
+    const [fromName, fromColumn] = reference.from;
+    const [toName, toColumn] = reference.to;
+    const targets = new Set(datasetRegistry[toName].rows()
+        .map(row => profileValue(row[toColumn]))
+        .map(reference.map || (value => value)));
+    const orphans = [...new Set(datasetRegistry[fromName].rows().map(row => profileValue(row[fromColumn])))]
+        .filter(value => value !== '' && !targets.has(value))
+        .sort();
+    return {
+        from: `${fromName}.${fromColumn}`,
+        to: `${toName}.${toColumn}`,
+        count: orphans.length,
+        values: orphans.slice(0, MAX_QUALITY_SAMPLES * 4)
+    };
+}).filter(result => result.count > 0);
+
+// Data quality report for every loaded dataset (?dataset= to narrow, comma-separated)
+app.get('/api/data-quality', (req, res) => {
+    const names = req.query.dataset ? queryValues(req.query.dataset) : Object.keys(datasetRegistry);
+    const unknown = names.find(name => !findDataset(name));
+    if (unknown) {
+        return res.status(400).json({ error: `Unknown dataset '${unknown}'; expected one of ${Object.keys(datasetRegistry).join(', ')}` });
+    }
+    try {
+        const datasets = names.map(name => profileDataset(name, findDataset(name)));
+        const orphans = findOrphans().filter(result =>
+            names.some(name => result.from.startsWith(`${name}.`) || result.to.startsWith(`${name}.`)));
+        const issueCount = datasets.reduce((sum, dataset) => sum + dataset.missing_columns.length +
+            dataset.invalid_values.length + dataset.placeholder_values.length + dataset.file_issues.length, 0) + orphans.length;
+        res.json({
+            generated_at: new Date().toISOString(),
+            summary: {
+                datasets: datasets.length,
+                rows: datasets.reduce((sum, dataset) => sum + dataset.rows, 0),
+                issues: issueCount,
+                invalid_values: datasets.reduce((sum, dataset) =>
+                    sum + dataset.invalid_values.reduce((total, item) => total + item.count, 0), 0),
+                placeholder_values: datasets.reduce((sum, dataset) =>
+                    sum + dataset.placeholder_values.reduce((total, item) => total + item.count, 0), 0),
+                orphan_references: orphans.reduce((sum, result) => sum + result.count, 0)
+            },
+            datasets: datasets,
+            orphans: orphans
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ─── WEEKLY S&OP PACK ────────────────────────────────
+//
+// One PDF for the weekly sales & operations planning meeting: the demand forecast over the
+// coming weeks, SKUs below their reorder point and the supplier scorecard.
+
+const SOP_PACK_WEEKS = 8;
+
+// Gather the pack's sections. The forecast horizon starts at from (default: the first
+// forecast date) and runs for the given number of weeks.
+const buildSopPack = ({ from, weeks }) => {
+    const forecastDays = forecastData.map(row => comparableValue(row.Date)).filter(Boolean).sort();
+    const start = from || forecastDays[0] || null;
+    const end = start ? addDaysToKey(start, weeks * 7 - 1) : null;
+    const horizon = withForecastStd(forecastData.filter(row => {
+        const day = comparableValue(row.Date);
+        return start && day >= start && day <= end;
+    }));
+
+    const productTotals = {};
+    horizon.forEach(row => {
+        productTotals[row.PRODUCT_NAME] = (productTotals[row.PRODUCT_NAME] || 0) + row.Forecasted_Demand;
+    });
+
+    const alerts = alertData
+        .map(item => ({
+            sku: item.SKU_No,
+            available: parseInt(item.Available || 0),
+            reorder_point: parseInt(item.Reorder_Point || 0),
+            supplier: item.Supplier
+        }))
+        .filter(item => item.available < item.reorder_point)
+        .map(item => ({ ...item, shortfall: item.reorder_point - item.available }))
+        .sort((a, b) => b.shortfall - a.shortfall);
+
+    return {
+        generated_at: new Date().toISOString(),
+        horizon: { from: start, to: end, weeks: weeks },
+        forecast: {
+            weekly: aggregateData(horizon, 'weekly', DEFAULT_CONFIDENCE_LEVELS),
+            by_product: Object.entries(productTotals)
+                .map(([product, demand]) => ({ product: product, total_demand: demand }))
+                .sort((a, b) => b.total_demand - a.total_demand)
+        },
+        inventory_alerts: alerts,
+        suppliers: {
+            weights: supplierScoreWeights,
+            ranking: rankSuppliers(scoreSuppliers(supplierScoreWeights).filter(row => row.type === 'primary'))
+        }
+    };
+};
+
+// Helper function to format a number for the PDF ('-' when missing)
+const formatPackNumber = (value, digits = 0) => (value === null || value === undefined || isNaN(value)
+    ? '-'
+    : Number(value).toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits }));
+
+// Draw a ruled table at the current position, repeating the header row after a page break.
+// columns are { header, width, align, value: row => text }.
+const drawPdfTable = (doc, columns, rows) => {
+    const left = doc.page.margins.left;
+    const rowHeight = 16;
+    const drawRow = (cells, header) => {
+        if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+            if (!header) {
+                drawRow(columns.map(column => column.header), true);
+            }
+        }
+        const top = doc.y;
+        let x = left;
+        doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('black');
+        cells.forEach((cell, i) => {
+            doc.text(String(cell), x + 3, top + 4, { width: columns[i].width - 6, align: columns[i].align || 'left', lineBreak: false, ellipsis: true });
+            x += columns[i].width;
+        });
+        doc.moveTo(left, top + rowHeight).lineTo(x, top + rowHeight)
+            .lineWidth(header ? 1 : 0.5).strokeColor(header ? '#333333' : '#cccccc').stroke();
+        doc.x = left;
+        doc.y = top + rowHeight;
+    };
+    drawRow(columns.map(column => column.header), true);
+    rows.forEach(row => drawRow(columns.map(column => column.value(row)), false));
+    doc.moveDown();
+};
+
+const drawPdfHeading = (doc, text) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 80) {
+        doc.addPage();
+    }
+    doc.moveDown(0.5).font('Helvetica-Bold').fontSize(13).fillColor('black').text(text, doc.page.margins.left);
+    doc.moveDown(0.3);
+};
+
+// Render the pack into a PDF document
+const renderSopPack = (doc, pack) => {
+    const [lowerLevel, upperLevel] = [DEFAULT_CONFIDENCE_LEVELS[0], DEFAULT_CONFIDENCE_LEVELS[DEFAULT_CONFIDENCE_LEVELS.length - 1]];
+
+    doc.font('Helvetica-Bold').fontSize(18).text('Weekly S&OP pack');
+    doc.font('Helvetica').fontSize(10).fillColor('#555555')
+        .text(`Forecast horizon ${pack.horizon.from || '-'} to ${pack.horizon.to || '-'} (${pack.horizon.weeks} weeks)`)
+        .text(`Generated ${pack.generated_at.slice(0, 16).replace('T', ' ')} UTC`);
+
+    drawPdfHeading(doc, 'Demand forecast by week');
+    drawPdfTable(doc, [
+        { header: 'Week', width: 90, value: row => row.period },
+        { header: 'Total demand', width: 95, align: 'right', value: row => formatPackNumber(row.total_demand) },
+        { header: 'Daily average', width: 90, align: 'right', value: row => formatPackNumber(row.average_demand, 1) },
+        { header: `Lower ${upperLevel}%`, width: 80, align: 'right', value: row => formatPackNumber(row[`lower_${upperLevel}`]) },
+        { header: `Lower ${lowerLevel}%`, width: 80, align: 'right', value: row => formatPackNumber(row[`lower_${lowerLevel}`]) },
+        { header: `Upper ${lowerLevel}%`, width: 80, align: 'right', value: row => formatPackNumber(row[`upper_${lowerLevel}`]) }
+    ], pack.forecast.weekly);
+
+    drawPdfHeading(doc, 'Forecast demand by product');
+    drawPdfTable(doc, [
+        { header: 'Product', width: 200, value: row => row.product },
+        { header: 'Total demand', width: 110, align: 'right', value: row => formatPackNumber(row.total_demand) }
+    ], pack.forecast.by_product);
+
+    drawPdfHeading(doc, `Inventory alerts (${pack.inventory_alerts.length} SKUs below reorder point)`);
+    drawPdfTable(doc, [
+        { header: 'SKU', width: 80, value: row => row.sku },
+        { header: 'Available', width: 80, align: 'right', value: row => formatPackNumber(row.available) },
+        { header: 'Reorder point', width: 90, align: 'right', value: row => formatPackNumber(row.reorder_point) },
+        { header: 'Shortfall', width: 80, align: 'right', value: row => formatPackNumber(row.shortfall) },
+        { header: 'Supplier', width: 185, value: row => row.supplier || '-' }
+    ], pack.inventory_alerts);
+
+    drawPdfHeading(doc, 'Supplier KPIs');
+    drawPdfTable(doc, [
+        { header: '#', width: 25, align: 'right', value: row => row.rank },
+        { header: 'Supplier', width: 135, value: row => row.supplier_name },
+        { header: 'SKU', width: 60, value: row => row.sku },
+        { header: 'OTD %', width: 55, align: 'right', value: row => formatPackNumber(row.otd_percent, 1) },
+        { header: 'Quality', width: 55, align: 'right', value: row => formatPackNumber(row.quality_score, 1) },
+        { header: 'Fulfil. %', width: 55, align: 'right', value: row => formatPackNumber(row.fulfillment_percent, 1) },
+        { header: 'Lead days', width: 60, align: 'right', value: row => formatPackNumber(row.lead_time_days, 1) },
+        { header: 'Score', width: 70, align: 'right', value: row => formatPackNumber(row.score, 1) }
+    ], pack.suppliers.ranking);
+};
+
+// Weekly S&OP pack: ?from=YYYY-MM-DD&weeks=8, as a PDF download (format=json for the data)
+app.get('/api/reports/sop-pack', (req, res) => {
+    const format = req.query.format || 'pdf';
+    if (!['pdf', 'json'].includes(format)) {
+        return res.status(400).json({ error: 'format must be pdf or json' });
+    }
+    if (req.query.from && !parseQueryDate(req.query.from, false)) {
+        return res.status(400).json({ error: 'from must be YYYY-MM-DD' });
+    }
+    const weeks = req.query.weeks === undefined ? SOP_PACK_WEEKS : parseLimit(req.query.weeks);
+    if (!weeks || weeks > 52) {
+        return res.status(400).json({ error: 'weeks must be between 1 and 52' });
+    }
+
+    try {
+        const pack = buildSopPack({ from: req.query.from, weeks: weeks });
+        if (format === 'json') {
+            return res.json(pack);
+        }
+        // Render before piping so a rendering error can still be sent as a JSON 500
+        const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: 'Weekly S&OP pack' } });
+        renderSopPack(doc, pack);
+        res.attachment(`sop-pack-${pack.horizon.from || 'empty'}.pdf`);
+        doc.pipe(res);
+        doc.end();
+    } catch (error) {
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ─── ALERT DIGESTS ───────────────────────────────────
+//
+// A scheduler evaluates the alert rules every ALERT_INTERVAL_MINUTES and mails one digest per
+// recipient: a supplier gets the alerts for its own SKUs and purchase orders, planners
+// (ALERT_PLANNER_EMAILS, comma-separated) get every alert. Mail goes out through
+// ALERT_SMTP_HOST/ALERT_SMTP_PORT (a local sink such as MailHog on port 1025 works); without an
+// SMTP host the scheduler stays off and digests can only be previewed.
+// Each alert is mailed to a recipient once while it stays active. Data/state/alert_log.json keeps the
+// active alerts with who has been told, and a log of every digest sent.
+
+const alertConfig = {
+    smtpHost: process.env.ALERT_SMTP_HOST || '',
+    smtpPort: parseInt(process.env.ALERT_SMTP_PORT || 25),
+    smtpSecure: process.env.ALERT_SMTP_SECURE === 'true',
+    smtpUser: process.env.ALERT_SMTP_USER || '',
+    smtpPass: process.env.ALERT_SMTP_PASS || '',
+    from: process.env.ALERT_MAIL_FROM || 'scm-alerts@localhost',
+    planners: (process.env.ALERT_PLANNER_EMAILS || '').split(',').map(email => email.trim()).filter(Boolean),
+    intervalMinutes: parseInt(process.env.ALERT_INTERVAL_MINUTES || 60)
+};
+
+const ALERT_LOG_LIMIT = 1000;
+const alertLogPath = statePath('alert_log.json');
+let alertLogData = { active: {}, sent: [] };
+let alertTransport = null;
+let alertTimer = null;
+let alertRunInProgress = false;
+let lastAlertRun = null;
+
+const loadAlertLogData = async () => {
+    alertLogData = { active: {}, sent: [], ...readJson(alertLogPath, {}) };
+};
+
+const saveAlertLog = () => writeJson(alertLogPath, alertLogData);
+
+const alertRuleTitles = {
+    reorder: 'SKUs below reorder point',
+    late_delivery: 'Late deliveries',
+    absence: 'Unplanned absences'
+};
+
+// Each rule returns the alerts firing now: { key, rule, summary, supplier, supplier_email }.
+// The key identifies the condition, so it must stay the same for as long as the condition lasts.
+const alertRules = {
+    reorder: () => alertData
+        .filter(item => parseInt(item.Available || 0) < parseInt(item.Reorder_Point || 0))
+        .map(item => ({
+            key: `reorder:${item.SKU_No}`,
+            rule: 'reorder',
+            summary: `${item.SKU_No} is below its reorder point: ${parseInt(item.Available || 0)} available against ${parseInt(item.Reorder_Point || 0)}`,
+            supplier: item.Supplier || null,
+            supplier_email: item.Email || null
+        })),
+    // Sent purchase orders still open after their promised date (sent date + lead time)
+    late_delivery: (today) => purchaseOrdersData
+        .filter(order => ['sent', 'partially_received'].includes(order.Status))
+        .map(order => ({ order: order, sent: order.history.find(entry => entry.status === 'sent') }))
+        // Skip orders whose history has no 'sent' entry: there is no send date to measure from
+        .filter(item => item.sent)
+        .map(({ order, sent }) => {
+            const promised = addDaysToKey(sent.at.slice(0, 10), Math.ceil(order.Lead_Time_Days || 0));
+            return { order: order, promised: promised, daysLate: daysBetweenKeys(promised, today) };
+        })
+        .filter(item => item.daysLate > 0)
+        .map(({ order, promised, daysLate }) => ({
+            key: `late_delivery:${order.PO_Number}`,
+            rule: 'late_delivery',
+            summary: `${order.PO_Number}: ${order.Quantity - order.Received_Qty} x ${order.SKU_No} outstanding, due ${promised} (${daysLate} day${daysLate === 1 ? '' : 's'} late)`,
+            supplier: order.Supplier,
+            supplier_email: order.Email || null
+        })),
+    // Operators marked absent on the latest recorded attendance day without an approved leave
+    absence: () => {
+        const latest = attendanceData.reduce((max, item) => (item.Date > max ? item.Date : max), '');
+        const leaves = blockingLeaves();
+        const stations = new Map(operatorStationMapData.map(item => [item.Operator_ID, item.Station_ID]));
+        return attendanceData
+            .filter(item => item.Date === latest && item.Present === 'No')
+            .filter(item => !leaves.some(leave => leave.Operator_ID === item.Operator_ID &&
+                leave.From_Date <= latest && latest <= leave.To_Date))
+            .map(item => ({
+                key: `absence:${item.Operator_ID}:${latest}`,
+                rule: 'absence',
+                summary: `${item.Operator_Name} (${item.Operator_ID}${stations.get(item.Operator_ID) ? `, ${stations.get(item.Operator_ID)}` : ''}) absent on ${latest} without approved leave`,
+                supplier: null,
+                supplier_email: null
+            }));
+    }
+};
+
+const evaluateAlerts = (today = toDayKey(new Date())) =>
+    Object.keys(alertRules).flatMap(rule => alertRules[rule](today));
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Render one recipient's digest as { subject, text, html }
+const renderAlertDigest = ({ audience, name, alerts }) => {
+    const sections = Object.keys(alertRules)
+        .map(rule => ({ title: alertRuleTitles[rule], items: alerts.filter(alert => alert.rule === rule) }))
+        .filter(section => section.items.length);
+    const intro = audience === 'supplier'
+        ? `Hello ${name}, the following concern stock and orders you supply:`
+        : 'Supply chain alerts since the last digest:';
+    const footer = 'This is an automated digest from the SCM dashboard.';
+    return {
+        subject: `[SCM alerts] ${sections.map(section => `${section.title}: ${section.items.length}`).join(', ')}`,
+        text: [
+            intro,
+            '',
+            ...sections.flatMap(section => [section.title, ...section.items.map(item => `  - ${item.summary}`), '']),
+            footer
+        ].join('\n'),
+        html: [
+            `<p>${escapeHtml(intro)}</p>`,
+            ...sections.map(section => `<h3>${escapeHtml(section.title)}</h3><ul>${section.items.map(item => `<li>${escapeHtml(item.summary)}</li>`).join('')}</ul>`),
+            `<p style="color:#777">${escapeHtml(footer)}</p>`
+        ].join('\n')
+    };
+};
+
+// Group alerts into one digest per recipient, leaving out alerts the recipient was already sent
+const buildAlertDigests = (alerts, { includeNotified = false } = {}) => {
+    const digests = new Map();
+    const add = (recipient, audience, name, alert) => {
+        const notified = (alertLogData.active[alert.key] || { notified: [] }).notified;
+        if (!includeNotified && notified.includes(recipient)) {
+            return;
+        }
+        if (!digests.has(recipient)) {
+            digests.set(recipient, { recipient: recipient, audience: audience, name: name, alerts: [] });
+        }
+        digests.get(recipient).alerts.push(alert);
+    };
+    alerts.forEach(alert => {
+        if (alert.supplier_email) {
+            add(alert.supplier_email.toLowerCase(), 'supplier', alert.supplier, alert);
+        }
+        alertConfig.planners.forEach(planner => add(planner.toLowerCase(), 'planner', null, alert));
+    });
+    return [...digests.values()].map(digest => ({ ...digest, ...renderAlertDigest(digest) }));
+};
+
+const alertTransporter = () => {
+    if (!alertTransport) {
+        alertTransport = nodemailer.createTransport({
+            host: alertConfig.smtpHost,
+            port: alertConfig.smtpPort,
+            secure: alertConfig.smtpSecure,
+            auth: alertConfig.smtpUser ? { user: alertConfig.smtpUser, pass: alertConfig.smtpPass } : undefined
+        });
+    }
+    return alertTransport;
+};
+
+// Evaluate the rules, mail the new alerts and record what was sent. A digest that fails to send
+// is logged as failed and its alerts are retried on the next run.
+const runAlertDigests = async (trigger) => {
+    alertRunInProgress = true;
+    try {
+        const now = new Date().toISOString();
+        const alerts = evaluateAlerts();
+        const firing = new Set(alerts.map(alert => alert.key));
+
+        // Alerts that stopped firing are forgotten, so they are mailed again if they come back
+        Object.keys(alertLogData.active)
+            .filter(key => !firing.has(key))
+            .forEach(key => delete alertLogData.active[key]);
+        alerts.forEach(alert => {
+            alertLogData.active[alert.key] = alertLogData.active[alert.key] || { rule: alert.rule, since: now, notified: [] };
+        });
+
+        const results = [];
+        for (const digest of buildAlertDigests(alerts)) {
+            const entry = {
+                id: `ALR-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+                sent_at: now,
+                trigger: trigger,
+                recipient: digest.recipient,
+                audience: digest.audience,
+                subject: digest.subject,
+                alert_keys: digest.alerts.map(alert => alert.key)
+            };
+            try {
+                const info = await alertTransporter().sendMail({
+                    from: alertConfig.from,
+                    to: digest.recipient,
+                    subject: digest.subject,
+                    text: digest.text,
+                    html: digest.html
+                });
+                digest.alerts.forEach(alert => alertLogData.active[alert.key].notified.push(digest.recipient));
+                results.push({ ...entry, status: 'sent', message_id: info.messageId });
+            } catch (error) {
+                results.push({ ...entry, status: 'failed', error: error.message });
+            }
+        }
+
+        alertLogData.sent = [...alertLogData.sent, ...results].slice(-ALERT_LOG_LIMIT);
+        saveAlertLog();
+        lastAlertRun = {
+            at: now,
+            trigger: trigger,
+            alerts: alerts.length,
+            sent: results.filter(entry => entry.status === 'sent').length,
+            failed: results.filter(entry => entry.status === 'failed').length
+        };
+        return { ...lastAlertRun, digests: results };
+    } finally {
+        alertRunInProgress = false;
+    }
+};
+
+const startAlertScheduler = () => {
+    if (!alertConfig.smtpHost || !(alertConfig.intervalMinutes > 0)) {
+        console.log('Alert digests: scheduler off (set ALERT_SMTP_HOST and ALERT_INTERVAL_MINUTES to enable)');
+        return;
+    }
+    const tick = () => {
+        if (alertRunInProgress) {
+            return;
+        }
+        runAlertDigests('schedule')
+            .then(run => console.log(`Alert digests: ${run.alerts} alerts, ${run.sent} sent, ${run.failed} failed`))
+            .catch(error => console.error('Alert digest run failed:', error));
+    };
+    tick();
+    alertTimer = setInterval(tick, alertConfig.intervalMinutes * 60000);
+};
+
+// Alerts firing now, with who has been told
+app.get('/api/alerts', (req, res) => {
+    const alerts = evaluateAlerts().map(alert => ({
+        ...alert,
+        since: (alertLogData.active[alert.key] || {}).since || null,
+        notified: (alertLogData.active[alert.key] || {}).notified || []
+    }));
+    sendList(req, res, alerts);
+});
+
+app.get('/api/alerts/config', (req, res) => {
+    res.json({
+        smtp_host: alertConfig.smtpHost || null,
+        smtp_port: alertConfig.smtpPort,
+        smtp_secure: alertConfig.smtpSecure,
+        smtp_auth_set: Boolean(alertConfig.smtpUser),
+        from: alertConfig.from,
+        planners: alertConfig.planners,
+        interval_minutes: alertConfig.intervalMinutes,
+        scheduler_running: Boolean(alertTimer),
+        rules: Object.keys(alertRules),
+        last_run: lastAlertRun
+    });
+});
+
+// The digests the next run would send; ?all=true includes alerts already mailed
+app.get('/api/alerts/digests', (req, res) => {
+    try {
+        res.json(buildAlertDigests(evaluateAlerts(), { includeNotified: req.query.all === 'true' }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Evaluate and send now instead of waiting for the scheduler
+app.post('/api/alerts/run', async (req, res) => {
+    if (!alertConfig.smtpHost) {
+        return res.status(503).json({ error: 'No SMTP server configured; set ALERT_SMTP_HOST' });
+    }
+    if (alertRunInProgress) {
+        return res.status(409).json({ error: 'An alert run is already in progress' });
+    }
+    try {
+        res.json(await runAlertDigests('manual'));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Digests sent (and failed), newest first
+app.get('/api/alerts/log', (req, res) => {
+    sendList(req, res, [...alertLogData.sent].reverse());
+});
+
+// ─── LIVE EVENTS ─────────────────────────────────────
+//
+// GET /api/events is a Server-Sent Events stream so dashboards can stop polling. A tab
+// subscribes to the topics it renders with ?topics=inventory,kpis (default: all of them):
+//   datasets    dataset.reloaded         a dataset was uploaded or rolled back
+//   inventory   reorder.crossed          a SKU dropped below, or recovered above, its reorder point
+//   production  production_order.status  a production order was created or changed state
+//   attendance  operator.absent          an attendance upload marked an operator absent
+//   kpis        kpis.inventory, kpis.production, kpis.sales
+//                                        new KPI card values (sales over all orders, unfiltered)
+// Each event has an id (boot time + sequence, so ids do not repeat after a restart); a reconnecting
+// EventSource sends Last-Event-ID and is replayed what it missed from the last LIVE_EVENT_BUFFER
+// events, or all of them if that id is no longer buffered. The kpis topic also gets the current values on connect.
+
+const liveTopics = ['datasets', 'inventory', 'production', 'attendance', 'kpis'];
+const LIVE_EVENT_BUFFER = 200;
+const LIVE_HEARTBEAT_MS = 25000;
+
+const liveEvents = new EventEmitter();
+liveEvents.setMaxListeners(0);
+const liveBootId = Date.now().toString(36);
+let liveEventSequence = 0;
+let recentLiveEvents = [];
+let lastKpiSnapshots = {};
+
+const publishEvent = (topic, type, data) => {
+    const event = { id: `${liveBootId}-${++liveEventSequence}`, topic: topic, type: type, at: new Date().toISOString(), data: data };
+    recentLiveEvents.push(event);
+    if (recentLiveEvents.length > LIVE_EVENT_BUFFER) {
+        recentLiveEvents.shift();
+    }
+    liveEvents.emit('event', event);
+    return event;
+};
+
+const kpiSources = {
+    inventory: () => inventoryKpis(),
+    production: () => productionKpis(),
+    sales: () => salesKpis(salesData)
+};
+
+// Publish the KPI cards of each scope whose values changed since they were last published
+const publishKpis = (scopes = Object.keys(kpiSources)) => scopes.forEach(scope => {
+    const values = kpiSources[scope]();
+    const snapshot = JSON.stringify(values);
+    if (lastKpiSnapshots[scope] !== snapshot) {
+        lastKpiSnapshots[scope] = snapshot;
+        publishEvent('kpis', `kpis.${scope}`, values);
+    }
+});
+
+// KPI scopes each dataset feeds
+const datasetKpiScopes = {
+    sales: ['sales'],
+    schedule: ['inventory'],
+    station_schedule: ['production'],
+    attendance: ['production']
+};
+
+const publishDatasetReload = (name, event, rows) => {
+    publishEvent('datasets', 'dataset.reloaded', { name: name, file: datasetRegistry[name].file, event: event, rows: rows });
+    publishKpis(datasetKpiScopes[name] || []);
+};
+
+// Publish reorder.crossed for every SKU whose below-reorder-point state differs from before
+const publishReorderCrossings = (previous, current) => {
+    const isBelow = (item) => parseInt(item.Available || 0) < parseInt(item.Reorder_Point || 0);
+    const before = new Map(previous.map(item => [item.SKU_No, isBelow(item)]));
+    current.forEach(item => {
+        const below = isBelow(item);
+        if (below !== Boolean(before.get(item.SKU_No))) {
+            publishEvent('inventory', 'reorder.crossed', {
+                sku: item.SKU_No,
+                direction: below ? 'below' : 'above',
+                available: parseInt(item.Available || 0),
+                reorder_point: parseInt(item.Reorder_Point || 0),
+                supplier: item.Supplier || null
+            });
+        }
+    });
+};
+
+const publishProductionOrderStatus = (order, previousStatus) => {
+    publishEvent('production', 'production_order.status', {
+        po_number: order.PO_Number,
+        product_card_id: order.PRODUCT_CARD_ID,
+        from: previousStatus,
+        to: order.Status
+    });
+};
+
+// Helper function to write one event in the SSE wire format
+const writeLiveEvent = (res, event) => {
+    res.write(`${event.id ? `id: ${event.id}\n` : ''}event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+};
+
+app.get('/api/events', (req, res) => {
+    const topics = req.query.topics ? queryValues(req.query.topics) : liveTopics;
+    const unknown = topics.find(topic => !liveTopics.includes(topic));
+    if (unknown) {
+        return res.status(400).json({ error: `Unknown topic '${unknown}'; topics are ${liveTopics.join(', ')}` });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.last_event_id;
+    if (lastEventId) {
+        recentLiveEvents
+            .slice(recentLiveEvents.findIndex(event => event.id === lastEventId) + 1)
+            .filter(event => topics.includes(event.topic))
+            .forEach(event => writeLiveEvent(res, event));
+    }
+    if (topics.includes('kpis')) {
+        // Current values without an id, so they do not move the client's Last-Event-ID
+        Object.keys(kpiSources).forEach(scope => writeLiveEvent(res, {
+            topic: 'kpis',
+            type: `kpis.${scope}`,
+            at: new Date().toISOString(),
+            data: kpiSources[scope]()
+        }));
+    }
+
+    const onEvent = (event) => {
+        if (topics.includes(event.topic)) {
+            writeLiveEvent(res, event);
+        }
+    };
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), LIVE_HEARTBEAT_MS);
+    liveEvents.on('event', onEvent);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        liveEvents.off('event', onEvent);
+    });
 });
 
 // ─── HEALTH CHECK ─────────────────────────────────────
@@ -1020,12 +5785,22 @@ app.listen(port, async () => {
             loadData(), 
             loadInsightsData(),
             loadSalesData(),
+            loadProductCardMap(),
             loadInventoryData(),
             loadProcurementData(),
             loadOperatorData(),
             loadSupplierData(),
-            loadHistoricalInsightsData()
+            loadHistoricalInsightsData(),
+            loadServiceLevelData(),
+            loadPurchaseOrderData(),
+            loadProductionOrderData(),
+            loadInsightCacheData(),
+            loadAlertLogData()
         ]);
+        refreshReorderPoints();
+        syncProductionOrderViews();
+        applyCachedInsights();
+        startAlertScheduler();
         console.log(`Server listening at http://localhost:${port}`);
     } catch (error) {
         console.error('Failed to start server:', error);